@@ -0,0 +1,51 @@
+// Converts characteristic values between Buffers and their JSON representations
+const { ERROR_CODES } = require('./constants');
+const { BridgeError } = require('./errors');
+
+// 'array' is a plain array of byte values, which is what clients got before encodings existed
+const VALUE_ENCODINGS = ['array', 'base64', 'hex'];
+
+function validateEncoding(encoding) {
+  if (!VALUE_ENCODINGS.includes(encoding)) {
+    throw new BridgeError(
+      ERROR_CODES.INVALID_MESSAGE,
+      `Unknown encoding: ${encoding} (expected ${VALUE_ENCODINGS.join(', ')})`
+    );
+  }
+  return encoding;
+}
+
+function encodeBytes(data, encoding = 'array') {
+  const buffer = Buffer.from(data);
+  switch (encoding) {
+    case 'base64':
+      return buffer.toString('base64');
+    case 'hex':
+      return buffer.toString('hex');
+    default:
+      return Array.from(buffer);
+  }
+}
+
+function isByteArray(value) {
+  return Array.isArray(value) && value.every(byte => Number.isInteger(byte) && byte >= 0 && byte <= 255);
+}
+
+// Accepts an array of bytes, or a string in the given encoding
+function decodeBytes(value, encoding = 'array') {
+  if (Array.isArray(value)) {
+    if (!isByteArray(value)) {
+      throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, 'Byte arrays may only contain integers from 0 to 255');
+    }
+    return Buffer.from(value);
+  }
+  if (typeof value === 'string' && (encoding === 'base64' || encoding === 'hex')) {
+    if (encoding === 'hex' && !/^([0-9a-fA-F]{2})*$/.test(value)) {
+      throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, 'Invalid hex value');
+    }
+    return Buffer.from(value, encoding);
+  }
+  throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, 'value must be an array of bytes or a base64/hex string with a matching encoding');
+}
+
+module.exports = { VALUE_ENCODINGS, validateEncoding, encodeBytes, decodeBytes, isByteArray };
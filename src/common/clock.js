@@ -0,0 +1,10 @@
+// Bridge clock shared by event timestamps and ping/pong
+const { performance } = require('perf_hooks');
+
+// Milliseconds since the epoch with sub-millisecond resolution. Based on the monotonic
+// performance clock, so it does not jump when the system clock is adjusted.
+function bridgeTime() {
+  return performance.timeOrigin + performance.now();
+}
+
+module.exports = { bridgeTime };
@@ -10,7 +10,43 @@ module.exports = {
     BATTERY_LEVEL: '2a19',
     SERIAL_NUMBER: '2a25',
     FIRMWARE_VERSION: '2a26',
-    HARDWARE_VERSION: '2a27'
+    HARDWARE_VERSION: '2a27',
+    // The spec only gives a placeholder ID (0xCSM6) for Sensor Configuration; this UUID assumes it
+    // follows the other Cosmoid characteristics in the same base. Not confirmed on cube firmware.
+    SENSOR_CONFIG: '00001526-1212-efde-1523-785feabcd123'
   },
-  WS_PORT: 8080
+  WS_PORT: 8080,
+  // Ports tried after WS_PORT when it is already taken
+  WS_PORT_FALLBACK_RANGE: 10,
+  WS_HOST: '127.0.0.1',
+  // WebSocket protocol versions this bridge can speak, newest last
+  PROTOCOL_VERSIONS: [1],
+  // Machine-readable codes sent to clients in `error` replies
+  ERROR_CODES: {
+    INVALID_JSON: 'INVALID_JSON',
+    INVALID_MESSAGE: 'INVALID_MESSAGE',
+    INVALID_PARAMS: 'INVALID_PARAMS',
+    UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+    DEVICE_NOT_FOUND: 'DEVICE_NOT_FOUND',
+    CHARACTERISTIC_NOT_FOUND: 'CHARACTERISTIC_NOT_FOUND',
+    WRITE_FAILED: 'WRITE_FAILED',
+    TIMEOUT: 'TIMEOUT',
+    CONNECT_FAILED: 'CONNECT_FAILED',
+    NOT_SUPPORTED: 'NOT_SUPPORTED',
+    UNSUPPORTED_PROTOCOL: 'UNSUPPORTED_PROTOCOL',
+    UNAUTHORIZED: 'UNAUTHORIZED',
+    PAIRING_REJECTED: 'PAIRING_REJECTED',
+    RATE_LIMITED: 'RATE_LIMITED',
+    INTERNAL_ERROR: 'INTERNAL_ERROR'
+  },
+  // Default timeout for one attempt of a queued GATT operation (read, write, subscribe)
+  BLE_OPERATION_TIMEOUT: 5000,
+  // Default timeout for connecting to a device and discovering its characteristics
+  BLE_CONNECT_TIMEOUT: 15000,
+  // Reasons reported with deviceDisconnected
+  DISCONNECT_REASONS: {
+    CONNECTION_LOST: 'connectionLost',
+    CLIENT_REQUEST: 'clientRequest',
+    FORGOTTEN: 'forgotten'
+  }
 };
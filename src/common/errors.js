@@ -0,0 +1,24 @@
+// Error types shared between the BLE and WebSocket servers
+const { ERROR_CODES } = require('./constants');
+
+// Error carrying one of ERROR_CODES so it can be reported back to clients
+class BridgeError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'BridgeError';
+    this.code = code;
+  }
+}
+
+// Reject with a TIMEOUT BridgeError if the promise does not settle in time
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      reject(new BridgeError(ERROR_CODES.TIMEOUT, message || `Operation timed out after ${ms}ms`));
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = { BridgeError, withTimeout };
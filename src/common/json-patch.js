@@ -0,0 +1,52 @@
+// Minimal JSON Patch (RFC 6902 add/remove/replace) for plain JSON objects.
+// Shared by the bridge's device state store and the renderer that applies its deltas.
+
+// JSON Pointer escaping (RFC 6901), needed because device IDs may contain '/'
+const escapeKey = (key) => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+const unescapeKey = (key) => key.replace(/~1/g, '/').replace(/~0/g, '~');
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Operations that turn `previous` into `next`. Objects are compared key by key;
+// arrays and other values are replaced whole when they differ.
+function diff(previous, next, path = '') {
+  const patch = [];
+  for (const key of Object.keys(previous)) {
+    if (!Object.prototype.hasOwnProperty.call(next, key)) {
+      patch.push({ op: 'remove', path: `${path}/${escapeKey(key)}` });
+    }
+  }
+  for (const [key, value] of Object.entries(next)) {
+    const childPath = `${path}/${escapeKey(key)}`;
+    if (!Object.prototype.hasOwnProperty.call(previous, key)) {
+      patch.push({ op: 'add', path: childPath, value });
+    } else if (isObject(value) && isObject(previous[key])) {
+      patch.push(...diff(previous[key], value, childPath));
+    } else if (JSON.stringify(value) !== JSON.stringify(previous[key])) {
+      patch.push({ op: 'replace', path: childPath, value });
+    }
+  }
+  return patch;
+}
+
+// Applies the operations in place and returns the document
+function applyPatch(document, patch) {
+  for (const { op, path, value } of patch) {
+    const keys = path.split('/').slice(1).map(unescapeKey);
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => node?.[key], document);
+    if (!isObject(parent)) {
+      throw new Error(`Cannot apply ${op} at ${path}`);
+    }
+    if (op === 'remove') {
+      delete parent[last];
+    } else if (op === 'add' || op === 'replace') {
+      parent[last] = value;
+    } else {
+      throw new Error(`Unsupported patch operation: ${op}`);
+    }
+  }
+  return document;
+}
+
+module.exports = { diff, applyPatch };
@@ -1,57 +1,170 @@
+// Structured JSON-lines logging for the main process.
+// Each line is { time, level, tag, message, ...fields }. `bridge.log` in the log directory is
+// the live file; it is rotated to bridge-<time>.log when it grows past maxSize or the day changes.
+const EventEmitter = require('events');
 const fs = require('fs');
 const path = require('path');
-const { app } = require('electron');
 
-class Logger {
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_FILE = 'bridge.log';
+const DEFAULT_OPTIONS = {
+  level: 'info',
+  maxSize: 5 * 1024 * 1024,
+  maxFiles: 10, // including the live file
+  maxAge: 14 * 24 * 60 * 60 * 1000,
+  console: true
+};
+// Kept in memory for the log viewer, and the most held back until a directory is configured
+const RECENT_ENTRIES = 1000;
+
+const dayOf = (time) => new Date(time).toDateString();
+
+// Errors don't survive JSON.stringify; keep what helps diagnosis
+function serializeError(error) {
+  return { name: error.name, message: error.message, code: error.code, stack: error.stack };
+}
+
+function normalizeFields(fields) {
+  if (fields === undefined || fields === null) return {};
+  if (fields instanceof Error) return { error: serializeError(fields) };
+  return Object.fromEntries(Object.entries(fields).map(([key, value]) =>
+    [key, value instanceof Error ? serializeError(value) : value]));
+}
+
+// Emits 'entry' for every entry at or above the configured level
+class Logger extends EventEmitter {
   constructor() {
-    this.logFile = path.join(
-      app.getPath('userData'),
-      'logs',
-      `app-${new Date().toISOString().split('T')[0]}.log`
-    );
-
-    // Ensure logs directory exists
-    const logsDir = path.dirname(this.logFile);
-    if (!fs.existsSync(logsDir)) {
-      fs.mkdirSync(logsDir, { recursive: true });
+    super();
+    this.options = { ...DEFAULT_OPTIONS };
+    this.directory = null;
+    this.pending = []; // lines not yet on disk
+    this.recent = [];
+    this.size = 0;
+    this.day = null;
+    this.writing = null; // promise of the write in progress
+  }
+
+  // Entries logged before a directory is set are written once it is
+  configure({ directory, ...options } = {}) {
+    if (options.level && !LEVELS.includes(options.level)) {
+      throw new Error(`Unknown log level: ${options.level}`);
+    }
+    this.options = { ...this.options, ...options };
+    if (!directory) return;
+
+    fs.mkdirSync(directory, { recursive: true });
+    this.directory = directory;
+    try {
+      const stats = fs.statSync(this.file);
+      this.size = stats.size;
+      this.day = dayOf(stats.mtimeMs);
+    } catch (error) {
+      this.size = 0;
+      this.day = dayOf(Date.now());
     }
+    this.prune().catch(error => console.error('Failed to prune logs:', error.message));
+    this.scheduleWrite();
+  }
+
+  get file() {
+    return path.join(this.directory, LOG_FILE);
   }
 
-  _write(level, ...args) {
-    const timestamp = new Date().toISOString();
-    const message = args.map(arg => 
-      typeof arg === 'object' ? JSON.stringify(arg, null, 2) : arg
-    ).join(' ');
+  // { debug, info, warn, error }(message, fields) bound to a module tag. `fields` is an
+  // object of extra properties for the entry, or an Error.
+  child(tag) {
+    return Object.fromEntries(LEVELS.map(level =>
+      [level, (message, fields) => this.log(level, tag, message, fields)]));
+  }
+
+  log(level, tag, message, fields) {
+    if (LEVELS.indexOf(level) < LEVELS.indexOf(this.options.level)) return;
+
+    const extra = normalizeFields(fields);
+    const entry = { time: new Date().toISOString(), level, tag, message: String(message), ...extra };
+    this.recent.push(entry);
+    if (this.recent.length > RECENT_ENTRIES) this.recent.shift();
+    this.emit('entry', entry);
+
+    if (this.options.console) {
+      const method = level === 'debug' ? 'log' : level;
+      const details = Object.keys(extra).length ? JSON.stringify(extra) : '';
+      console[method](`${entry.time} ${level.toUpperCase()} [${tag}] ${entry.message}`, details);
+    }
+
+    this.pending.push(JSON.stringify(entry));
+    if (!this.directory && this.pending.length > RECENT_ENTRIES) this.pending.shift();
+    this.scheduleWrite();
+  }
 
-    const logEntry = `[${timestamp}] [${level}] ${message}\n`;
+  // Entries still in memory, oldest first, at or above `level`
+  getRecent({ level = 'debug' } = {}) {
+    return this.recent.filter(entry => this.isAtLeast(entry, level));
+  }
 
-    // Write to file
-    fs.appendFileSync(this.logFile, logEntry);
+  isAtLeast(entry, level) {
+    return LEVELS.indexOf(entry.level) >= LEVELS.indexOf(level);
+  }
 
-    // Also log to console
-    console[level.toLowerCase()](timestamp, message);
+  scheduleWrite() {
+    if (!this.directory || this.writing || this.pending.length === 0) return;
+    this.writing = this.writePending()
+      .catch(error => console.error('Failed to write log:', error.message))
+      .finally(() => {
+        this.writing = null;
+        this.scheduleWrite();
+      });
   }
 
-  info(...args) {
-    this._write('INFO', ...args);
+  async writePending() {
+    if (this.size > 0 && this.day !== dayOf(Date.now())) {
+      await this.rotate();
+    }
+    const chunk = this.pending.join('\n') + '\n';
+    this.pending = [];
+    await fs.promises.appendFile(this.file, chunk);
+    this.size += Buffer.byteLength(chunk);
+    if (this.size >= this.options.maxSize) {
+      await this.rotate();
+    }
   }
 
-  error(...args) {
-    this._write('ERROR', ...args);
+  async rotate() {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    await fs.promises.rename(this.file, path.join(this.directory, `bridge-${stamp}.log`));
+    this.size = 0;
+    this.day = dayOf(Date.now());
+    await this.prune();
   }
 
-  warn(...args) {
-    this._write('WARN', ...args);
+  // Delete rotated files past maxFiles or older than maxAge
+  async prune() {
+    const rotated = (await this.listFiles()).filter(file => file.name !== LOG_FILE);
+    const expired = rotated.filter((file, index) =>
+      index >= this.options.maxFiles - 1 || Date.now() - file.modifiedAt > this.options.maxAge);
+    await Promise.all(expired.map(file => fs.promises.unlink(file.path)));
   }
 
-  debug(...args) {
-    this._write('DEBUG', ...args);
+  // [{ name, path, size, modifiedAt }], newest first
+  async listFiles() {
+    if (!this.directory) return [];
+    const names = (await fs.promises.readdir(this.directory))
+      .filter(name => name.startsWith('bridge') && name.endsWith('.log'));
+    const files = await Promise.all(names.map(async (name) => {
+      const file = path.join(this.directory, name);
+      const stats = await fs.promises.stat(file);
+      return { name, path: file, size: stats.size, modifiedAt: stats.mtimeMs };
+    }));
+    return files.sort((a, b) => b.modifiedAt - a.modifiedAt);
   }
 
-  getLogPath() {
-    return this.logFile;
+  // Resolves once everything logged so far is on disk
+  async flush() {
+    while (this.writing) {
+      await this.writing;
+    }
   }
 }
 
 const logger = new Logger();
-module.exports = logger; 
\ No newline at end of file
+module.exports = logger;
@@ -0,0 +1,21 @@
+// In-memory stand-in for electron-store when no persistent store is passed in (tests, simulation)
+class MemoryStore {
+  constructor() {
+    this.data = new Map();
+  }
+
+  // Values are copied like electron-store does, so callers never share state with the store
+  get(key, defaultValue) {
+    return this.data.has(key) ? JSON.parse(JSON.stringify(this.data.get(key))) : defaultValue;
+  }
+
+  set(key, value) {
+    this.data.set(key, JSON.parse(JSON.stringify(value)));
+  }
+
+  delete(key) {
+    this.data.delete(key);
+  }
+}
+
+module.exports = { MemoryStore };
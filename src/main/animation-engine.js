@@ -0,0 +1,291 @@
+// Runs light animations on connected cubes by feeding frames through BLEServer.sendEventToDevice
+const EventEmitter = require('events');
+const { ERROR_CODES } = require('../common/constants');
+const { BridgeError } = require('../common/errors');
+const log = require('../common/logger').child('animation');
+
+const DEFAULT_OPTIONS = {
+  frameInterval: 50 // ms between frames; frames are skipped while the previous one is still being written
+};
+
+const IDENTIFY_FLASHES = 5;
+const IDENTIFY_FLASH_DURATION = 200; // ms on, then the same off
+
+// loops: 0 repeats until stopped
+const ANIMATION_TYPES = {
+  fade: { defaultLoops: 1, build: buildFade },
+  breathe: { defaultLoops: 0, build: buildBreathe },
+  blink: { defaultLoops: 0, build: buildBlink },
+  rainbow: { defaultLoops: 0, build: buildRainbow },
+  keyframes: { defaultLoops: 1, build: buildKeyframes }
+};
+
+const invalid = (message) => new BridgeError(ERROR_CODES.INVALID_MESSAGE, message);
+
+function color(value, name) {
+  if (!Array.isArray(value) || value.length !== 3
+      || !value.every(channel => Number.isInteger(channel) && channel >= 0 && channel <= 255)) {
+    throw invalid(`${name} must be [r, g, b] with values from 0 to 255`);
+  }
+  return value;
+}
+
+function byte(value, name, fallback) {
+  if (value === undefined) return fallback;
+  if (!Number.isInteger(value) || value < 0 || value > 255) {
+    throw invalid(`${name} must be an integer from 0 to 255`);
+  }
+  return value;
+}
+
+function duration(value, name, fallback) {
+  if (value === undefined && fallback !== undefined) return fallback;
+  if (!Number.isFinite(value) || value <= 0) {
+    throw invalid(`${name} must be a positive number of milliseconds`);
+  }
+  return value;
+}
+
+const lerp = (from, to, t) => Math.round(from + (to - from) * t);
+const lerpColor = (from, to, t) => from.map((channel, index) => lerp(channel, to[index], t));
+
+// h in [0, 1), full saturation and value
+function hueToColor(h) {
+  const sector = Math.floor(h * 6) % 6;
+  const f = h * 6 - Math.floor(h * 6);
+  const up = Math.round(255 * f);
+  const down = 255 - up;
+  return [
+    [255, up, 0], [down, 255, 0], [0, 255, up],
+    [0, down, 255], [up, 0, 255], [255, 0, down]
+  ][sector];
+}
+
+// Each builder returns { duration, frameAt(progress) } for one loop; frames are { color?, luminosity? }
+
+function buildFade(spec) {
+  const from = color(spec.from, 'from');
+  const to = color(spec.to, 'to');
+  return {
+    duration: duration(spec.duration, 'duration', 1000),
+    frameAt: (t) => ({ color: lerpColor(from, to, t) })
+  };
+}
+
+function buildBreathe(spec) {
+  const base = spec.color === undefined ? undefined : color(spec.color, 'color');
+  const min = byte(spec.minLuminosity, 'minLuminosity', 0);
+  const max = byte(spec.maxLuminosity, 'maxLuminosity', 255);
+  return {
+    duration: duration(spec.period, 'period', 3000),
+    frameAt: (t) => ({
+      color: base,
+      luminosity: lerp(min, max, (1 - Math.cos(2 * Math.PI * t)) / 2)
+    })
+  };
+}
+
+function buildBlink(spec) {
+  const on = color(spec.color, 'color');
+  const off = spec.offColor === undefined ? [0, 0, 0] : color(spec.offColor, 'offColor');
+  const dutyCycle = spec.dutyCycle === undefined ? 0.5 : spec.dutyCycle;
+  if (!(dutyCycle > 0 && dutyCycle < 1)) {
+    throw invalid('dutyCycle must be between 0 and 1');
+  }
+  return {
+    duration: duration(spec.period, 'period', 1000),
+    // The last frame of a loop is the off state, so a finished blink leaves the cube off
+    frameAt: (t) => ({ color: t < dutyCycle ? on : off })
+  };
+}
+
+function buildRainbow(spec) {
+  return {
+    duration: duration(spec.period, 'period', 5000),
+    frameAt: (t) => ({ color: hueToColor(t % 1) })
+  };
+}
+
+// keyframes: [{ color?, luminosity?, duration }], each reached over its duration from the previous one
+function buildKeyframes(spec) {
+  if (!Array.isArray(spec.keyframes) || spec.keyframes.length === 0) {
+    throw invalid('keyframes must be a non-empty array');
+  }
+  const interpolate = spec.interpolate !== false;
+  const keyframes = spec.keyframes.map((keyframe, index) => {
+    const frame = {
+      color: keyframe.color === undefined ? undefined : color(keyframe.color, `keyframes[${index}].color`),
+      luminosity: byte(keyframe.luminosity, `keyframes[${index}].luminosity`, undefined),
+      duration: duration(keyframe.duration, `keyframes[${index}].duration`)
+    };
+    if (frame.color === undefined && frame.luminosity === undefined) {
+      throw invalid(`keyframes[${index}] needs a color or a luminosity`);
+    }
+    return frame;
+  });
+  const total = keyframes.reduce((sum, keyframe) => sum + keyframe.duration, 0);
+
+  return {
+    duration: total,
+    frameAt: (t) => {
+      let elapsed = t * total;
+      for (let index = 0; index < keyframes.length; index++) {
+        const keyframe = keyframes[index];
+        if (elapsed <= keyframe.duration || index === keyframes.length - 1) {
+          const previous = keyframes[index - 1] || keyframe;
+          const progress = interpolate ? Math.min(elapsed / keyframe.duration, 1) : 1;
+          return {
+            color: keyframe.color && previous.color
+              ? lerpColor(previous.color, keyframe.color, progress)
+              : keyframe.color,
+            luminosity: keyframe.luminosity !== undefined && previous.luminosity !== undefined
+              ? lerp(previous.luminosity, keyframe.luminosity, progress)
+              : keyframe.luminosity
+          };
+        }
+        elapsed -= keyframe.duration;
+      }
+    }
+  };
+}
+
+// Emits 'animationEnded' ({ deviceId, animationId, animation, reason, error? }); reason is
+// 'completed', 'stopped', 'replaced', 'deviceDisconnected' or 'error'
+class AnimationEngine extends EventEmitter {
+  constructor(bleServer, options = {}) {
+    super();
+    this.bleServer = bleServer;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.running = new Map(); // deviceId -> { animationId, spec, timeline, loops, startedAt, timer, busy, last }
+    this.nextAnimationId = 1;
+
+    bleServer.on('deviceDisconnected', (device) => this.end(device.id, 'deviceDisconnected'));
+  }
+
+  // Replaces whatever is running on the device; resolves once the first frame is written
+  async play(deviceId, spec) {
+    if (!this.bleServer.connectedDevices.has(deviceId)) {
+      throw new BridgeError(ERROR_CODES.DEVICE_NOT_FOUND, `Device not connected: ${deviceId}`);
+    }
+    if (!spec || typeof spec !== 'object') {
+      throw invalid('animation must be an object');
+    }
+    const type = Object.prototype.hasOwnProperty.call(ANIMATION_TYPES, spec.type) ? ANIMATION_TYPES[spec.type] : null;
+    if (!type) {
+      throw invalid(`Unknown animation type: ${spec.type} (expected ${Object.keys(ANIMATION_TYPES).join(', ')})`);
+    }
+    const loops = spec.loops === undefined ? type.defaultLoops : spec.loops;
+    if (!Number.isInteger(loops) || loops < 0) {
+      throw invalid('loops must be a non-negative integer (0 repeats until stopped)');
+    }
+    const timeline = type.build(spec);
+
+    this.end(deviceId, 'replaced');
+    const animation = {
+      animationId: this.nextAnimationId++,
+      spec: { ...spec, loops },
+      timeline,
+      loops,
+      startedAt: Date.now(),
+      timer: null,
+      busy: false,
+      last: {}
+    };
+    this.running.set(deviceId, animation);
+    animation.timer = setInterval(() => this.tick(deviceId, animation), this.options.frameInterval);
+
+    // A failing first frame is reported to the caller as well as through animationEnded
+    await this.tick(deviceId, animation, true);
+    return { animationId: animation.animationId, animation: animation.spec };
+  }
+
+  // Flash the cube so it can be picked out of a crowd, then return to `restoreColor` (or stay off)
+  identify(deviceId, { color = [255, 255, 255], restoreColor = null } = {}) {
+    const flashes = Array.from({ length: IDENTIFY_FLASHES }, () => [
+      { color, duration: IDENTIFY_FLASH_DURATION },
+      { color: [0, 0, 0], duration: IDENTIFY_FLASH_DURATION }
+    ]).flat();
+    return this.play(deviceId, {
+      type: 'keyframes',
+      interpolate: false,
+      keyframes: restoreColor ? [...flashes, { color: restoreColor, duration: 1 }] : flashes
+    });
+  }
+
+  // Returns false when nothing was running
+  stop(deviceId) {
+    return this.end(deviceId, 'stopped');
+  }
+
+  stopAll() {
+    for (const deviceId of Array.from(this.running.keys())) {
+      this.end(deviceId, 'stopped');
+    }
+  }
+
+  getRunning() {
+    return Array.from(this.running.entries()).map(([deviceId, animation]) => ({
+      deviceId,
+      animationId: animation.animationId,
+      animation: animation.spec,
+      startedAt: animation.startedAt
+    }));
+  }
+
+  async tick(deviceId, animation, rethrow = false) {
+    if (this.running.get(deviceId) !== animation || animation.busy) return;
+
+    const { duration } = animation.timeline;
+    const elapsed = Date.now() - animation.startedAt;
+    const finished = animation.loops > 0 && elapsed >= duration * animation.loops;
+    const progress = finished ? 1 : (elapsed % duration) / duration;
+
+    animation.busy = true;
+    try {
+      await this.sendFrame(deviceId, animation, animation.timeline.frameAt(progress));
+    } catch (error) {
+      log.error('Animation frame failed', { deviceId, error });
+      this.end(deviceId, 'error', error);
+      if (rethrow) throw error;
+      return;
+    } finally {
+      animation.busy = false;
+    }
+
+    if (finished) {
+      this.end(deviceId, 'completed');
+    }
+  }
+
+  // Only values that changed since the previous frame are written
+  async sendFrame(deviceId, animation, frame) {
+    const { last } = animation;
+    if (frame.color && String(frame.color) !== String(last.color)) {
+      const [r, g, b] = frame.color;
+      await this.bleServer.sendEventToDevice(deviceId, 'setColor', { r, g, b });
+      last.color = frame.color;
+    }
+    if (frame.luminosity !== undefined && frame.luminosity !== last.luminosity) {
+      await this.bleServer.sendEventToDevice(deviceId, 'setLuminosity', { intensity: frame.luminosity });
+      last.luminosity = frame.luminosity;
+    }
+  }
+
+  end(deviceId, reason, error = null) {
+    const animation = this.running.get(deviceId);
+    if (!animation) return false;
+
+    clearInterval(animation.timer);
+    this.running.delete(deviceId);
+    this.emit('animationEnded', {
+      deviceId,
+      animationId: animation.animationId,
+      animation: animation.spec,
+      reason,
+      ...(error ? { error: error.message } : {})
+    });
+    return true;
+  }
+}
+
+module.exports = { AnimationEngine, ANIMATION_TYPES };
@@ -1,143 +1,406 @@
 // BLE server implementation for device management
-const noble = require('@abandonware/noble');
 const EventEmitter = require('events');
-const { 
+const {
   BLE_SERVICE_UUID,
-  BLE_BATTERY_SERVICE_UUID,
-  BLE_DEVICE_INFO_SERVICE,
-  BLE_CHARACTERISTICS 
+  BLE_CHARACTERISTICS,
+  DISCONNECT_REASONS,
+  ERROR_CODES,
+  BLE_CONNECT_TIMEOUT
 } = require('../common/constants');
+const { BridgeError, withTimeout } = require('../common/errors');
+const { isByteArray } = require('../common/byte-encoding');
+const { MemoryStore } = require('../common/memory-store');
+const { createTransport, normalizeUUID } = require('./ble-transport');
+const { ReconnectManager } = require('./reconnect-manager');
+const { encodeCommand, listCommands } = require('./commands');
+const { GattQueue } = require('./gatt-queue');
+const { DeviceMetadata } = require('./device-metadata');
+const { SensorCalibration } = require('./sensor-calibration');
+const { decodeSensorData, encodeSensorConfig, decodeSensorConfig } = require('./sensor-protocol');
+const { GestureRecognizer } = require('./gesture-recognizer');
+const { DeviceStateStore } = require('./device-state-store');
+const { bridgeTime } = require('../common/clock');
+const log = require('../common/logger').child('ble');
+
+// Used when a scan is started without options, e.g. on power-on
+const DEFAULT_SCAN_OPTIONS = {
+  duration: null,        // ms; null scans until stopped
+  rssiThreshold: null,   // dBm; weaker new devices are ignored
+  namePrefix: null,      // only new devices whose name starts with this
+  allowDuplicates: true  // report every advertisement, not just the first
+};
 
-// Command definitions
-const COMMANDS = {
-  SET_LUMINOSITY: 1,  // [1, intensity, delay]
-  SET_COLOR: 2        // [2, r, g, b, 1]
+// Characteristics subscribed on every connect, by BLE_CHARACTERISTICS name or UUID
+const DEFAULT_AUTO_SUBSCRIBE = ['SENSOR', 'BUTTON_STATUS', 'BATTERY_LEVEL'];
+
+// ms over which device list changes are collected into one state revision
+const DEFAULT_DEVICE_UPDATE_INTERVAL = 100;
+// ms between updates that only carry new advertisement data (SIGNAL_FIELDS)
+const DEFAULT_SIGNAL_UPDATE_INTERVAL = 1000;
+// Device fields that change with every advertisement
+const SIGNAL_FIELDS = ['rssi', 'smoothedRssi', 'lastSeen'];
+
+// Unconnected devices that stop advertising are evicted after deviceTimeout ms
+const DEFAULT_STALENESS_OPTIONS = {
+  deviceTimeout: 15000,
+  checkInterval: 5000,
+  rssiSmoothing: 0.3 // weight of the newest reading in smoothedRssi
 };
 
-function normalizeUUID(uuid) {
-    return uuid.toLowerCase().replace(/-/g, '');
+// BLE_CHARACTERISTICS in the normalized form transports use
+const CHARACTERISTIC_UUIDS = Object.fromEntries(
+  Object.entries(BLE_CHARACTERISTICS).map(([name, uuid]) => [name, normalizeUUID(uuid)])
+);
+
+function validateScanOptions(options) {
+  const { duration, rssiThreshold, namePrefix, allowDuplicates } = options;
+  const invalid = (message) => new BridgeError(ERROR_CODES.INVALID_MESSAGE, message);
+
+  if (duration != null && !(Number.isFinite(duration) && duration > 0)) {
+    throw invalid('duration must be a positive number of milliseconds');
+  }
+  if (rssiThreshold != null && !Number.isFinite(rssiThreshold)) {
+    throw invalid('rssiThreshold must be a number (dBm)');
+  }
+  if (namePrefix != null && typeof namePrefix !== 'string') {
+    throw invalid('namePrefix must be a string');
+  }
+  if (allowDuplicates != null && typeof allowDuplicates !== 'boolean') {
+    throw invalid('allowDuplicates must be a boolean');
+  }
+
+  // Drop unset keys so defaults apply
+  return Object.fromEntries(
+    Object.entries({ duration, rssiThreshold, namePrefix, allowDuplicates })
+      .filter(([, value]) => value != null)
+  );
+}
+
+function resolveCharacteristicUUID(nameOrUuid) {
+  return CHARACTERISTIC_UUIDS[nameOrUuid] || normalizeUUID(String(nameOrUuid));
+}
+
+// Exponential moving average, rounded to 0.1 dBm
+function smoothRssi(previous, rssi, weight) {
+  if (typeof previous !== 'number') return rssi;
+  return Math.round((weight * rssi + (1 - weight) * previous) * 10) / 10;
 }
 
 class BLEServer extends EventEmitter {
-  constructor() {
+  // options.transport is a transport name ('noble', 'windows', 'simulated') or an instance;
+  // options.transportOptions are passed to the transport when it is created by name;
+  // options.store persists remembered devices (in memory when omitted);
+  // options.staleness overrides DEFAULT_STALENESS_OPTIONS;
+  // options.autoSubscribe replaces DEFAULT_AUTO_SUBSCRIBE;
+  // options.gestures overrides the GestureRecognizer thresholds;
+  // options.deviceUpdateInterval and options.signalUpdateInterval override
+  // DEFAULT_DEVICE_UPDATE_INTERVAL and DEFAULT_SIGNAL_UPDATE_INTERVAL;
+  // options.gattQueue overrides the GattQueue timeout/retry defaults;
+  // options.connectTimeout overrides BLE_CONNECT_TIMEOUT;
+  // options.experimentalCommands enables the unverified commands from the spec (see commands.js)
+  constructor(options = {}) {
     super();
-    console.log('🔍 BLE Characteristics we are looking for:', {
-      SENSOR: BLE_CHARACTERISTICS.SENSOR,
-      BUTTON_STATUS: BLE_CHARACTERISTICS.BUTTON_STATUS,
-      BATTERY_LEVEL: BLE_CHARACTERISTICS.BATTERY_LEVEL,
-      SERVICE: BLE_SERVICE_UUID
+    log.debug('Looking for Cosmo characteristics', {
+      service: BLE_SERVICE_UUID,
+      sensor: BLE_CHARACTERISTICS.SENSOR,
+      buttonStatus: BLE_CHARACTERISTICS.BUTTON_STATUS,
+      batteryLevel: BLE_CHARACTERISTICS.BATTERY_LEVEL
     });
+    this.transport = typeof options.transport === 'object'
+      ? options.transport
+      : createTransport(options.transport, options.transportOptions);
+    this.store = options.store || new MemoryStore();
     this.discoveredDevices = new Map(); // Track all discovered devices
     this.connectedDevices = new Map();
-    this.setupNoble();
+    this.scanning = false;
+    this.scanOptions = { ...DEFAULT_SCAN_OPTIONS };
+    this.scanTimer = null;
+    this.scanStopReason = null;
+    this.scanRestarting = false;
+    this.scanStartedAt = null;
+    this.staleness = { ...DEFAULT_STALENESS_OPTIONS, ...options.staleness };
+    this.stalenessTimer = null;
+    this.experimentalCommands = options.experimentalCommands === true;
+    // Reads, writes and (un)subscribes run one at a time per device
+    this.gattQueue = new GattQueue(options.gattQueue);
+    this.connectTimeout = options.connectTimeout ?? BLE_CONNECT_TIMEOUT;
+    this.autoSubscribe = new Set((options.autoSubscribe || DEFAULT_AUTO_SUBSCRIBE).map(resolveCharacteristicUUID));
+    // Revisioned device list; changes are coalesced before they reach it
+    this.deviceState = new DeviceStateStore();
+    this.deviceUpdateInterval = options.deviceUpdateInterval ?? DEFAULT_DEVICE_UPDATE_INTERVAL;
+    this.deviceUpdateTimer = null;
+    this.signalUpdateInterval = options.signalUpdateInterval ?? DEFAULT_SIGNAL_UPDATE_INTERVAL;
+    this.signalUpdateTimer = null;
+    // Devices already warned about for sensor packets in an unknown format
+    this.sensorFormatWarnings = new Set();
+    // Last notification sequence number per device; kept across reconnects so numbers never repeat
+    this.sequences = new Map();
+    // deviceId -> Map(uuid -> Set of clients) from subscribeCharacteristic; kept across reconnects,
+    // which turn their notifications back on
+    this.characteristicSubscribers = new Map();
+
+    // Alias, identity color and tags per serial number
+    this.metadata = new DeviceMetadata(this.store);
+    // Sensor offset and scale per serial number
+    this.sensorCalibration = new SensorCalibration(this.store);
+    this.reconnectManager = new ReconnectManager(this, this.store, options.reconnect);
+    this.reconnectManager.on('reconnecting', (info) => this.emit('deviceReconnecting', info));
+    this.reconnectManager.on('reconnected', (info) => this.emit('deviceReconnected', info));
+
+    // Click, double click, long press and force levels derived from buttonEvent
+    this.gestureRecognizer = new GestureRecognizer(this, options.gestures);
+    this.gestureRecognizer.on('gesture', (gesture) => this.emit('gesture', gesture));
+
+    this.setupTransport();
   }
 
-  setupNoble() {
-    noble.on('stateChange', (state) => {
-      console.log('Bluetooth state:', state);
+  setupTransport() {
+    this.transport.on('stateChange', (state) => {
+      log.info('Bluetooth state changed', { state });
       if (state === 'poweredOn') {
-        this.startScanning();
+        this.startScanning().catch(() => {});
       } else {
-        console.log('Bluetooth state is not powered on:', state);
+        log.warn('Bluetooth is not powered on', { state });
         // If Bluetooth is turned off, clear all devices
         this.discoveredDevices.clear();
         this.connectedDevices.clear();
       }
     });
 
-    noble.on('discover', (peripheral) => {
-      this.handleDiscoveredDevice(peripheral);
+    this.transport.on('discover', (device) => {
+      this.handleDiscoveredDevice(device);
     });
 
     // Add scanning started event handler
-    noble.on('scanStart', () => {
-      console.log('Scanning started for Cosmo devices...');
+    this.transport.on('scanStart', () => {
+      log.info('Scanning started');
+      this.scanning = true;
+      this.scanStartedAt = Date.now();
+      this.startStalenessCheck();
+      this.emit('scanState', this.getScanState());
     });
 
     // Add scanning stopped event handler
-    noble.on('scanStop', () => {
-      console.log('Scanning stopped...');
+    this.transport.on('scanStop', () => {
+      log.info('Scanning stopped');
+      // Transports stop an active scan before restarting it; that is not a state change
+      if (this.scanRestarting) return;
+      this.scanning = false;
+      this.stopStalenessCheck();
+      this.emit('scanState', { ...this.getScanState(), reason: this.scanStopReason || 'stopped' });
+      this.scanStopReason = null;
     });
 
-    // Add state change handler for device disconnection
-    noble.on('disconnect', (peripheral) => {
-      console.log('Device disconnected:', peripheral.id);
-      this.handleDeviceDisconnect(peripheral.id);
+    this.transport.on('disconnect', (deviceId) => {
+      log.info('Device disconnected', { deviceId });
+      this.handleDeviceDisconnect(deviceId);
+    });
+
+    this.transport.on('notification', (deviceId, characteristicUuid, data) => {
+      this.handleCharacteristicData(deviceId, characteristicUuid, data);
+    });
+
+    this.transport.initialize().catch((error) => {
+      log.error('Failed to initialize BLE transport', error);
     });
   }
 
-  startScanning() {
-    console.log('Starting BLE scan for Cosmo devices...');
-    // First stop any existing scan
-    noble.stopScanning(() => {
+  // Options not given fall back to DEFAULT_SCAN_OPTIONS, not to the previous scan
+  async startScanning(options = {}) {
+    const scanOptions = { ...DEFAULT_SCAN_OPTIONS, ...validateScanOptions(options) };
+    log.info('Starting scan', { scanOptions });
+
+    clearTimeout(this.scanTimer);
+    this.scanTimer = null;
+    this.scanOptions = scanOptions;
+    this.scanStopReason = null;
+
+    this.scanRestarting = this.scanning;
+    try {
       // Start scanning only for Cosmo service UUID
-      noble.startScanning([BLE_SERVICE_UUID], true, (error) => {
-        if (error) {
-          console.error('Failed to start scanning:', error);
-        }
+      await this.transport.startScanning({
+        serviceUuids: [BLE_SERVICE_UUID],
+        allowDuplicates: scanOptions.allowDuplicates
       });
-    });
+    } catch (error) {
+      log.error('Failed to start scanning', error);
+      throw error;
+    } finally {
+      this.scanRestarting = false;
+    }
+
+    if (scanOptions.duration) {
+      this.scanTimer = setTimeout(() => {
+        this.stopScanning('timeout').catch(() => {});
+      }, scanOptions.duration);
+    }
+    return this.getScanState();
   }
 
-  handleDiscoveredDevice(peripheral) {
+  async stopScanning(reason = 'clientRequest') {
+    clearTimeout(this.scanTimer);
+    this.scanTimer = null;
+    this.scanStopReason = reason;
+    await this.transport.stopScanning();
+  }
+
+  getScanState() {
+    return {
+      scanning: this.scanning,
+      options: { ...this.scanOptions }
+    };
+  }
+
+  // Scan filters only gate new devices; known and remembered devices always pass
+  passesScanFilters(advertised) {
+    if (this.reconnectManager.shouldReconnect(advertised.id)) return true;
+
+    const { rssiThreshold, namePrefix } = this.scanOptions;
+    if (rssiThreshold !== null && typeof advertised.rssi === 'number' && advertised.rssi < rssiThreshold) {
+      return false;
+    }
+    if (namePrefix && !(advertised.name || '').startsWith(namePrefix)) {
+      return false;
+    }
+    return true;
+  }
+
+  handleDiscoveredDevice(advertised) {
     // Only handle if not already discovered
-    if (!this.discoveredDevices.has(peripheral.id)) {
-      console.log('Discovered Cosmo device:', peripheral.advertisement.localName || 'Unknown', peripheral.id);
-      
+    if (!this.discoveredDevices.has(advertised.id)) {
+      if (!this.passesScanFilters(advertised)) return;
+
+      log.info('Discovered device', { deviceId: advertised.id, name: advertised.name || 'Unknown' });
+
+      const now = Date.now();
       const deviceInfo = {
-        id: peripheral.id,
-        name: peripheral.advertisement.localName || 'Unknown Device',
-        connected: false
+        id: advertised.id,
+        name: advertised.name || 'Unknown Device',
+        connected: false,
+        rssi: advertised.rssi ?? null,
+        smoothedRssi: advertised.rssi ?? null,
+        firstSeen: now,
+        lastSeen: now
       };
 
-      this.discoveredDevices.set(peripheral.id, { peripheral, info: deviceInfo });
-      
-      // Set max listeners to prevent memory leak warning
-      peripheral.setMaxListeners(2);
-      
-      peripheral.on('connect', () => {
-        deviceInfo.connected = true;
-        this.connectedDevices.set(peripheral.id, { peripheral, info: deviceInfo });
-        this.emit('deviceConnected', deviceInfo);
-      });
-
-      peripheral.on('disconnect', () => {
-        console.log('Device disconnected:', deviceInfo.name);
-        this.handleDeviceDisconnect(peripheral.id);
-      });
+      this.discoveredDevices.set(advertised.id, { info: deviceInfo });
 
       // Emit device discovered event
       this.emit('deviceDiscovered', deviceInfo);
+      this.scheduleDeviceUpdate();
     } else {
       // Update RSSI for existing device
-      const device = this.discoveredDevices.get(peripheral.id);
-      device.info.rssi = peripheral.rssi;
-      this.emit('deviceUpdated', device.info);
+      const device = this.discoveredDevices.get(advertised.id);
+      device.info.lastSeen = Date.now();
+      if (typeof advertised.rssi === 'number') {
+        device.info.rssi = advertised.rssi;
+        device.info.smoothedRssi = smoothRssi(device.info.smoothedRssi, advertised.rssi, this.staleness.rssiSmoothing);
+      }
+      this.scheduleSignalUpdate();
     }
   }
 
+  // Eviction relies on repeated advertisements, so it only runs during a scan that allows duplicates
+  startStalenessCheck() {
+    if (this.stalenessTimer) return;
+    this.stalenessTimer = setInterval(() => this.evictStaleDevices(), this.staleness.checkInterval);
+    this.stalenessTimer.unref?.();
+  }
+
+  stopStalenessCheck() {
+    clearInterval(this.stalenessTimer);
+    this.stalenessTimer = null;
+  }
+
+  evictStaleDevices(now = Date.now()) {
+    if (!this.scanning || !this.scanOptions.allowDuplicates) return;
+
+    const lost = [];
+    for (const [deviceId, device] of this.discoveredDevices) {
+      if (this.connectedDevices.has(deviceId) || device.connecting) continue;
+      // Devices seen before the current scan get a full window from its start
+      const lastSeen = Math.max(device.info.lastSeen || 0, this.scanStartedAt || 0);
+      if (now - lastSeen > this.staleness.deviceTimeout) {
+        this.discoveredDevices.delete(deviceId);
+        lost.push(device.info);
+      }
+    }
+
+    for (const info of lost) {
+      log.info('Device stopped advertising, evicting', { deviceId: info.id, name: info.name });
+      this.emit('deviceLost', info);
+    }
+    if (lost.length > 0) {
+      this.scheduleDeviceUpdate();
+    }
+  }
+
+  // reason is 'connectionLost' unless disconnectDevice() set one beforehand
+  // Links dropped before connectToDevice finished are handled there
   handleDeviceDisconnect(deviceId) {
     const device = this.discoveredDevices.get(deviceId);
-    if (device) {
-      console.log('Processing disconnect for device:', device.info.name);
+    if (device && this.connectedDevices.has(deviceId)) {
+      const reason = device.disconnectReason || DISCONNECT_REASONS.CONNECTION_LOST;
+      log.info('Processing disconnect', { deviceId, name: device.info.name, reason });
       device.info.connected = false;
       this.connectedDevices.delete(deviceId);
       this.discoveredDevices.delete(deviceId);
-      
-      // Clean up any existing listeners
-      try {
-        device.characteristics?.forEach(char => char.removeAllListeners());
-      } catch (error) {
-        console.warn('Error cleaning up characteristic listeners:', error);
+      this.gattQueue.clear(deviceId, new BridgeError(ERROR_CODES.DEVICE_NOT_FOUND, `Device disconnected: ${deviceId}`));
+
+      this.emit('deviceDisconnected', device.info, reason);
+      this.reconnectManager.handleDisconnect(device.info, reason);
+      this.scheduleDeviceUpdate();
+
+      // Scan again only when the device should be picked up automatically
+      if (!this.scanning && this.reconnectManager.shouldReconnect(deviceId)
+          && reason === DISCONNECT_REASONS.CONNECTION_LOST) {
+        // Unbounded and unfiltered, so a short or narrow client scan can't hide the device
+        this.startScanning({ allowDuplicates: this.scanOptions.allowDuplicates }).catch(() => {});
       }
+    }
+  }
+
+  // Device list changes are coalesced for deviceUpdateInterval ms and only emitted when a
+  // field actually changed, so bursts of advertisements or notifications cost one update at most
+  scheduleDeviceUpdate() {
+    if (this.deviceUpdateTimer) return;
+    this.deviceUpdateTimer = setTimeout(() => this.flushDeviceUpdate(), this.deviceUpdateInterval);
+    this.deviceUpdateTimer.unref?.();
+  }
+
+  // Repeated advertisements only move SIGNAL_FIELDS; they ride along with the next update,
+  // or go out on their own at most every signalUpdateInterval ms
+  scheduleSignalUpdate() {
+    if (this.deviceUpdateTimer || this.signalUpdateTimer) return;
+    this.signalUpdateTimer = setTimeout(() => this.flushDeviceUpdate(), this.signalUpdateInterval);
+    this.signalUpdateTimer.unref?.();
+  }
 
-      this.emit('deviceDisconnected', device.info);
-      
-      // Restart scanning to rediscover the device if it comes back
-      this.startScanning();
+  // Emits 'deviceUpdated' ({ devices, revision, patch, changed }) when the new list differs
+  // from the stored one; patch is the JSON Patch from the previous revision, and changed is
+  // false when it only touches SIGNAL_FIELDS
+  flushDeviceUpdate() {
+    clearTimeout(this.deviceUpdateTimer);
+    clearTimeout(this.signalUpdateTimer);
+    this.deviceUpdateTimer = null;
+    this.signalUpdateTimer = null;
+
+    const devices = this.getAllDevices();
+    const patch = this.deviceState.update(devices);
+    if (patch.length > 0) {
+      const changed = patch.some(({ path }) => {
+        const [, , field, ...rest] = path.split('/');
+        return rest.length > 0 || !SIGNAL_FIELDS.includes(field);
+      });
+      this.emit('deviceUpdated', { devices, revision: this.deviceState.revision, patch, changed });
     }
   }
 
+  // { revision, devices: { [deviceId]: device } } as of the last coalesced update
+  getDeviceState() {
+    return this.deviceState.snapshot();
+  }
+
   // Add method to get all devices
   getAllDevices() {
     // Convert the Map values to an array
@@ -146,10 +409,96 @@ class BLEServer extends EventEmitter {
       name: device.info.name,
       connected: this.connectedDevices.has(device.info.id),
       serialNumber: device.info.serialNumber || 'Unknown',
-      batteryLevel: device.info.batteryLevel || null
+      batteryLevel: device.info.batteryLevel || null,
+      rssi: device.info.rssi ?? null,
+      smoothedRssi: device.info.smoothedRssi ?? null,
+      firstSeen: device.info.firstSeen ?? null,
+      lastSeen: device.info.lastSeen ?? null,
+      autoReconnect: this.reconnectManager.isEnabled(device.info.id),
+      ...this.metadata.get(this.getSerialNumber(device.info.id))
     }));
   }
 
+  // Serial numbers are read on connect; remembered devices keep theirs while disconnected
+  getSerialNumber(deviceId) {
+    return this.discoveredDevices.get(deviceId)?.info.serialNumber
+      || this.reconnectManager.getRememberedDevices()[deviceId]?.serialNumber
+      || null;
+  }
+
+  getDeviceMetadata(deviceId) {
+    return this.metadata.get(this.getSerialNumber(deviceId));
+  }
+
+  // Discovered in this session or remembered from an earlier connection
+  isKnownDevice(deviceId) {
+    return this.discoveredDevices.has(deviceId) || Boolean(this.reconnectManager.getRememberedDevices()[deviceId]);
+  }
+
+  // changes: { alias?, color?, tags? }; stored per serial number
+  setDeviceMetadata(deviceId, changes) {
+    if (!this.isKnownDevice(deviceId)) {
+      throw new BridgeError(ERROR_CODES.DEVICE_NOT_FOUND, `Unknown device: ${deviceId}`);
+    }
+    const serialNumber = this.getSerialNumber(deviceId);
+    const metadata = this.metadata.set(serialNumber, changes);
+    this.scheduleDeviceUpdate();
+    return { deviceId, serialNumber, ...metadata };
+  }
+
+  getSensorCalibration(deviceId) {
+    const serialNumber = this.getSerialNumber(deviceId);
+    return { deviceId, serialNumber, ...this.sensorCalibration.get(serialNumber) };
+  }
+
+  // changes: { offset?, scale? }; stored per serial number and applied to later sensorData
+  setSensorCalibration(deviceId, changes) {
+    if (!this.isKnownDevice(deviceId)) {
+      throw new BridgeError(ERROR_CODES.DEVICE_NOT_FOUND, `Unknown device: ${deviceId}`);
+    }
+    const serialNumber = this.getSerialNumber(deviceId);
+    return { deviceId, serialNumber, ...this.sensorCalibration.set(serialNumber, changes) };
+  }
+
+  // Writes the 4-byte Sensor Configuration; fields not given keep their current value.
+  // Resolves with the configuration read back from the device when it is readable, so
+  // sampleRate is the rate actually applied (requested rates snap to 1, 10, 50 or 100 Hz).
+  async configureSensor(deviceId, { sampleRate, resolution, mode } = {}) {
+    const device = this.getConnectedDevice(deviceId);
+    const { uuid, properties = [] } = this.getDeviceCharacteristic(deviceId, CHARACTERISTIC_UUIDS.SENSOR_CONFIG, 'write');
+    const readable = properties.includes('read');
+
+    const current = readable
+      ? decodeSensorConfig(await this.gattRead(deviceId, uuid))
+      : device.sensorConfig || { sampleRate: null, resolution: 0, mode: 0 };
+    const requested = {
+      sampleRate: sampleRate ?? current.sampleRate,
+      resolution: resolution ?? current.resolution,
+      mode: mode ?? current.mode
+    };
+    if (requested.sampleRate === null) {
+      throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, 'configureSensor requires sampleRate');
+    }
+
+    const config = encodeSensorConfig(requested);
+    await this.gattWrite(deviceId, uuid, config, true);
+    device.sensorConfig = decodeSensorConfig(readable ? await this.gattRead(deviceId, uuid) : config);
+    return { deviceId, requestedSampleRate: requested.sampleRate, ...device.sensorConfig };
+  }
+
+  // Opt a remembered device in or out of automatic reconnection
+  setAutoReconnect(deviceId, enabled) {
+    if (!this.reconnectManager.setAutoReconnect(deviceId, enabled)) {
+      throw new BridgeError(ERROR_CODES.DEVICE_NOT_FOUND, `Device was never connected: ${deviceId}`);
+    }
+    this.scheduleDeviceUpdate();
+  }
+
+  getRememberedDevices() {
+    const remembered = this.reconnectManager.getRememberedDevices();
+    return Object.entries(remembered).map(([id, device]) => ({ id, ...device }));
+  }
+
   // Add method to read battery level
   async readBatteryLevel(deviceId) {
     const device = this.discoveredDevices.get(deviceId);
@@ -157,271 +506,453 @@ class BLEServer extends EventEmitter {
 
     try {
       // Try to read battery characteristic if it exists
-      const batteryChar = device.characteristics?.get(BLE_CHARACTERISTICS.BATTERY_LEVEL);
-      if (batteryChar) {
-        const value = await batteryChar.readAsync();
+      if (device.characteristics?.has(CHARACTERISTIC_UUIDS.BATTERY_LEVEL)) {
+        const value = await this.gattRead(deviceId, CHARACTERISTIC_UUIDS.BATTERY_LEVEL);
         device.info.batteryLevel = value[0];
-        this.emit('deviceUpdated', this.getAllDevices());
+        this.scheduleDeviceUpdate();
         return value[0];
       }
       return null;
     } catch (error) {
-      console.error('Failed to read battery level:', error);
+      log.error('Failed to read battery level', { deviceId, error });
       return null;
     }
   }
 
+  // Concurrent calls for one device (clients, auto-reconnect) share a single attempt
   async connectToDevice(deviceId) {
     const device = this.discoveredDevices.get(deviceId);
-    
-    if (device) {
-      try {
-        await device.peripheral.connectAsync();
-        this.connectedDevices.set(deviceId, device);
-        
-        // Discover all services
-        const services = await device.peripheral.discoverServicesAsync();
-        device.characteristics = new Map();
-
-        // Process each service
-        for (const service of services) {
-          const characteristics = await service.discoverCharacteristicsAsync();
-          
-          for (const characteristic of characteristics) {
-            const normalizedCharUUID = normalizeUUID(characteristic.uuid);
-            
-            // Store characteristic with both formats of UUID
-            device.characteristics.set(characteristic.uuid, characteristic);
-            if (characteristic.uuid.includes('-')) {
-                device.characteristics.set(characteristic.uuid.replace(/-/g, ''), characteristic);
-            } else {
-                const uuidWithDashes = characteristic.uuid.replace(
-                    /^([0-9a-f]{8})([0-9a-f]{4})([0-9a-f]{4})([0-9a-f]{4})([0-9a-f]{12})$/i,
-                    '$1-$2-$3-$4-$5'
-                );
-                device.characteristics.set(uuidWithDashes, characteristic);
-            }
-
-            try {
-                // Handle sensor characteristic
-                if (normalizedCharUUID === normalizeUUID(BLE_CHARACTERISTICS.SENSOR)) {
-                    await characteristic.subscribeAsync();
-                    characteristic.on('data', (data) => {
-                        this.handleCharacteristicData(deviceId, BLE_CHARACTERISTICS.SENSOR, data);
-                    });
-                }
-                // Handle button status characteristic
-                else if (normalizedCharUUID === normalizeUUID(BLE_CHARACTERISTICS.BUTTON_STATUS)) {
-                    await characteristic.subscribeAsync();
-                    characteristic.on('data', (data) => {
-                        this.handleCharacteristicData(deviceId, BLE_CHARACTERISTICS.BUTTON_STATUS, data);
-                    });
-                }
-                // Handle battery level characteristic
-                else if (normalizedCharUUID === normalizeUUID(BLE_CHARACTERISTICS.BATTERY_LEVEL)) {
-                    const batteryData = await characteristic.readAsync();
-                    device.info.batteryLevel = batteryData[0];
-                    await characteristic.subscribeAsync();
-                    characteristic.on('data', (data) => {
-                        this.handleCharacteristicData(deviceId, BLE_CHARACTERISTICS.BATTERY_LEVEL, data);
-                    });
-                }
-                // Read Serial Number
-                else if (normalizedCharUUID === normalizeUUID(BLE_CHARACTERISTICS.SERIAL_NUMBER)) {
-                    const serialData = await characteristic.readAsync();
-                    device.info.serialNumber = serialData.toString().trim();
-                }
-                // Read Firmware Version
-                else if (normalizedCharUUID === normalizeUUID(BLE_CHARACTERISTICS.FIRMWARE_VERSION)) {
-                    const firmwareData = await characteristic.readAsync();
-                    device.info.firmwareVersion = firmwareData.toString().trim();
-                }
-                // Read Hardware Version
-                else if (normalizedCharUUID === normalizeUUID(BLE_CHARACTERISTICS.HARDWARE_VERSION)) {
-                    const hardwareData = await characteristic.readAsync();
-                    device.info.hardwareVersion = hardwareData.toString().trim();
-                }
-            } catch (error) {
-                console.error('Error setting up characteristic:', characteristic.uuid, error.message);
-            }
+    if (!device) {
+      throw new BridgeError(ERROR_CODES.DEVICE_NOT_FOUND, `Unknown device: ${deviceId}`);
+    }
+    if (this.connectedDevices.has(deviceId)) return true;
+
+    if (!device.connecting) {
+      device.connecting = this.establishConnection(deviceId, device)
+        .finally(() => { device.connecting = null; });
+    }
+    return device.connecting;
+  }
+
+  isConnecting(deviceId) {
+    return Boolean(this.discoveredDevices.get(deviceId)?.connecting);
+  }
+
+  async establishConnection(deviceId, device) {
+    let linked = false;
+    try {
+      // The device only counts as connected once its characteristics are known
+      const characteristics = await withTimeout((async () => {
+        await this.transport.connect(deviceId);
+        linked = true;
+        return this.transport.discoverCharacteristics(deviceId);
+      })(), this.connectTimeout, `Connecting to ${deviceId} timed out after ${this.connectTimeout}ms`);
+      device.info.connected = true;
+      this.connectedDevices.set(deviceId, device);
+      device.characteristics = new Map(characteristics.map(characteristic => [characteristic.uuid, characteristic]));
+      // Characteristics with notifications enabled on the transport
+      device.subscriptions = new Set();
+      const subscribers = this.subscribersOf(deviceId);
+      // Last sensor configuration written or read through configureSensor
+      device.sensorConfig = null;
+      delete device.disconnectReason;
+
+      for (const { uuid } of characteristics) {
+        try {
+          switch (uuid) {
+            // Battery level is read once, then followed through notifications
+            case CHARACTERISTIC_UUIDS.BATTERY_LEVEL:
+              const batteryData = await this.gattRead(deviceId, uuid);
+              device.info.batteryLevel = batteryData[0];
+              break;
+
+            case CHARACTERISTIC_UUIDS.SERIAL_NUMBER:
+              device.info.serialNumber = (await this.gattRead(deviceId, uuid)).toString().trim();
+              break;
+
+            case CHARACTERISTIC_UUIDS.FIRMWARE_VERSION:
+              device.info.firmwareVersion = (await this.gattRead(deviceId, uuid)).toString().trim();
+              break;
+
+            case CHARACTERISTIC_UUIDS.HARDWARE_VERSION:
+              device.info.hardwareVersion = (await this.gattRead(deviceId, uuid)).toString().trim();
+              break;
           }
-        }
 
-        // Emit device info after reading all characteristics
-        this.emit('deviceUpdated', {
-          devices: this.getAllDevices(),
-          deviceInfo: {
-            [deviceId]: {
-              serialNumber: device.info.serialNumber || 'Unknown',
-              hardwareRevision: device.info.hardwareVersion || 'Unknown',
-              firmwareRevision: device.info.firmwareVersion || 'Unknown',
-              forceValue: device.info.forceValue || 0
-            }
+          if (this.autoSubscribe.has(uuid) || subscribers.has(uuid)) {
+            await this.gattQueue.run(deviceId, 'subscribe', () => this.transport.subscribe(deviceId, uuid));
+            device.subscriptions.add(uuid);
           }
-        });
+        } catch (error) {
+          log.error('Failed to set up characteristic', { deviceId, uuid, error });
+        }
+      }
 
-        this.emit('deviceConnected', {
-          id: deviceId,
-          name: device.info.name,
-          connected: true,
-          batteryLevel: device.info.batteryLevel,
-          serialNumber: device.info.serialNumber,
-          firmwareVersion: device.info.firmwareVersion,
-          hardwareVersion: device.info.hardwareVersion
-        });
+      // Emit device info after reading all characteristics
+      this.emit('deviceInfo', {
+        deviceId,
+        serialNumber: device.info.serialNumber || 'Unknown',
+        hardwareRevision: device.info.hardwareVersion || 'Unknown',
+        firmwareRevision: device.info.firmwareVersion || 'Unknown'
+      });
+      this.scheduleDeviceUpdate();
+
+      // Show the identity color the user picked for this cube
+      const { color } = this.metadata.get(device.info.serialNumber);
+      if (color) {
+        try {
+          await this.sendEventToDevice(deviceId, 'setColor', color);
+        } catch (error) {
+          log.warn('Failed to apply identity color', { deviceId, error });
+        }
+      }
+
+      this.emit('deviceConnected', {
+        id: deviceId,
+        name: device.info.name,
+        connected: true,
+        batteryLevel: device.info.batteryLevel,
+        serialNumber: device.info.serialNumber,
+        firmwareVersion: device.info.firmwareVersion,
+        hardwareVersion: device.info.hardwareVersion
+      });
 
-        return true;
+      return true;
+    } catch (error) {
+      log.error('Failed to connect', { deviceId, error });
+      device.info.connected = false;
+      this.connectedDevices.delete(deviceId);
+      // Don't leave a half-open link behind, e.g. after a timeout or a failed discovery
+      if (linked || error.code === ERROR_CODES.TIMEOUT) {
+        await this.transport.disconnect(deviceId).catch(() => {});
+      }
+      throw error instanceof BridgeError
+        ? error
+        : new BridgeError(ERROR_CODES.CONNECT_FAILED, `Failed to connect to ${deviceId}: ${error.message}`);
+    }
+  }
+
+  // Unsubscribe notifications and drop the link; the device is not auto-reconnected afterwards
+  async disconnectDevice(deviceId, reason = DISCONNECT_REASONS.CLIENT_REQUEST) {
+    const device = this.connectedDevices.get(deviceId);
+    if (!device) {
+      throw new BridgeError(ERROR_CODES.DEVICE_NOT_FOUND, `Device not connected: ${deviceId}`);
+    }
+
+    device.disconnectReason = reason;
+    for (const uuid of device.subscriptions || []) {
+      try {
+        await this.gattQueue.run(deviceId, 'unsubscribe', () => this.transport.unsubscribe(deviceId, uuid));
       } catch (error) {
-        console.error('Failed to connect:', error);
-        return false;
+        log.warn('Failed to unsubscribe before disconnect', { deviceId, uuid, error });
       }
     }
-    return false;
+    device.subscriptions?.clear();
+
+    await this.transport.disconnect(deviceId);
+    // Transports normally report the disconnect themselves; this covers the ones that do not
+    if (this.discoveredDevices.get(deviceId) === device) {
+      this.handleDeviceDisconnect(deviceId);
+    }
+    return true;
   }
 
+  // Disconnect if needed and drop the device from the remembered/auto-reconnect list
+  async forgetDevice(deviceId) {
+    const remembered = this.reconnectManager.getRememberedDevices()[deviceId];
+    if (!remembered && !this.connectedDevices.has(deviceId)) {
+      throw new BridgeError(ERROR_CODES.DEVICE_NOT_FOUND, `Unknown device: ${deviceId}`);
+    }
+
+    this.reconnectManager.forget(deviceId);
+    this.characteristicSubscribers.delete(deviceId);
+    if (this.connectedDevices.has(deviceId)) {
+      await this.disconnectDevice(deviceId, DISCONNECT_REASONS.FORGOTTEN);
+    }
+    return true;
+  }
+
+  // Every event derived from one notification carries the same receivedAt (bridge clock)
+  // and seq, which counts the device's notifications across all characteristics
   handleCharacteristicData(deviceId, characteristicUuid, data) {
     const device = this.discoveredDevices.get(deviceId);
     if (!device) return;
 
-    switch(characteristicUuid) {
-      case BLE_CHARACTERISTICS.SENSOR:
-        device.info.sensorValue = data[0];
-        
+    const stamp = { receivedAt: bridgeTime(), seq: this.nextSequence(deviceId) };
+    const uuid = normalizeUUID(characteristicUuid);
+    switch(uuid) {
+      case CHARACTERISTIC_UUIDS.SENSOR:
+        this.handleSensorData(deviceId, device, data, stamp);
+
         this.emit('characteristicChanged', {
           deviceId,
-          characteristicUUID: normalizeUUID(characteristicUuid),
-          value: Array.from(data)
+          characteristicUUID: uuid,
+          value: Array.from(data),
+          ...stamp
         });
         break;
 
-      case BLE_CHARACTERISTICS.BUTTON_STATUS:
+      case CHARACTERISTIC_UUIDS.BUTTON_STATUS:
         const buttonValue = data[0];
         const forceValue = data[1] || 0;
-        
+
         device.info.forceValue = forceValue;
-        
+
         this.emit('buttonEvent', {
           deviceId,
           state: buttonValue === 0 ? 'pressed' : 'released',
-          force: forceValue
+          force: forceValue,
+          ...stamp
         });
 
         this.emit('characteristicChanged', {
           deviceId,
-          characteristicUUID: normalizeUUID(characteristicUuid),
-          value: Array.from(data)
+          characteristicUUID: uuid,
+          value: Array.from(data),
+          ...stamp
         });
         break;
 
-      case BLE_CHARACTERISTICS.BATTERY_LEVEL:
+      case CHARACTERISTIC_UUIDS.BATTERY_LEVEL:
         device.info.batteryLevel = data[0];
-        console.log('Battery:', data[0] + '%');
-        
+        log.debug('Battery level', { deviceId, batteryLevel: data[0] });
+        this.scheduleDeviceUpdate();
+
+        this.emit('characteristicChanged', {
+          deviceId,
+          characteristicUUID: uuid,
+          value: [data[0]],
+          ...stamp
+        });
+        break;
+
+      // Anything a client subscribed to through subscribeCharacteristic
+      default:
         this.emit('characteristicChanged', {
           deviceId,
-          characteristicUUID: normalizeUUID(characteristicUuid),
-          value: [data[0]]
+          characteristicUUID: uuid,
+          value: Array.from(data),
+          ...stamp
         });
         break;
     }
+  }
+
+  // Services of a connected device as found during connect:
+  // [{ uuid, characteristics: [{ uuid, properties, notifying }] }]
+  getServices(deviceId) {
+    const device = this.getConnectedDevice(deviceId);
+    const services = new Map();
+    for (const characteristic of device.characteristics.values()) {
+      const serviceUuid = characteristic.serviceUuid || null;
+      if (!services.has(serviceUuid)) {
+        services.set(serviceUuid, { uuid: serviceUuid, characteristics: [] });
+      }
+      services.get(serviceUuid).characteristics.push({
+        uuid: characteristic.uuid,
+        properties: characteristic.properties || [],
+        notifying: device.subscriptions.has(characteristic.uuid)
+      });
+    }
+    return Array.from(services.values());
+  }
+
+  async readCharacteristic(deviceId, characteristicUUID) {
+    const { uuid } = this.getDeviceCharacteristic(deviceId, characteristicUUID, 'read');
+    try {
+      return await this.gattRead(deviceId, uuid);
+    } catch (error) {
+      if (error instanceof BridgeError) throw error;
+      log.error('Failed to read characteristic', { deviceId, characteristicUUID, error });
+      throw new BridgeError(ERROR_CODES.INTERNAL_ERROR, `Read failed: ${error.message}`);
+    }
+  }
 
-    this.emit('deviceUpdated', {
-      devices: this.getAllDevices(),
-      deviceInfo: {
-        [deviceId]: {
-          serialNumber: device.info.serialNumber,
-          hardwareRevision: device.info.hardwareVersion,
-          firmwareRevision: device.info.firmwareVersion,
-          forceValue: device.info.forceValue
+  // Notifications are enabled once per characteristic and shared by all subscribers;
+  // `subscriber` is any object identifying the client (released with releaseSubscriber)
+  async subscribeCharacteristic(deviceId, characteristicUUID, subscriber) {
+    const device = this.getConnectedDevice(deviceId);
+    const { uuid } = this.getDeviceCharacteristic(deviceId, characteristicUUID, 'notify');
+
+    if (!device.subscriptions.has(uuid)) {
+      await this.gattQueue.run(deviceId, 'subscribe', () => this.transport.subscribe(deviceId, uuid));
+      device.subscriptions.add(uuid);
+    }
+    const subscribers = this.subscribersOf(deviceId);
+    if (!subscribers.has(uuid)) {
+      subscribers.set(uuid, new Set());
+    }
+    subscribers.get(uuid).add(subscriber);
+    return uuid;
+  }
+
+  // Notifications stay on while other clients or the bridge itself still need them.
+  // Works while the device is disconnected too, so the subscription is not restored.
+  async unsubscribeCharacteristic(deviceId, characteristicUUID, subscriber) {
+    const uuid = normalizeUUID(String(characteristicUUID));
+    const subscribers = this.characteristicSubscribers.get(deviceId)?.get(uuid);
+    if (!subscribers || !subscribers.delete(subscriber)) {
+      throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, `Not subscribed to ${characteristicUUID}`);
+    }
+    if (subscribers.size > 0) return uuid;
+
+    this.characteristicSubscribers.get(deviceId).delete(uuid);
+    const device = this.connectedDevices.get(deviceId);
+    if (device?.subscriptions && !this.autoSubscribe.has(uuid) && device.subscriptions.has(uuid)) {
+      device.subscriptions.delete(uuid);
+      await this.gattQueue.run(deviceId, 'unsubscribe', () => this.transport.unsubscribe(deviceId, uuid));
+    }
+    return uuid;
+  }
+
+  // Drop every characteristic subscription held by a client, e.g. when its socket closes
+  async releaseSubscriber(subscriber) {
+    for (const [deviceId, characteristics] of this.characteristicSubscribers) {
+      for (const [uuid, subscribers] of characteristics) {
+        if (!subscribers.has(subscriber)) continue;
+        try {
+          await this.unsubscribeCharacteristic(deviceId, uuid, subscriber);
+        } catch (error) {
+          log.warn('Failed to release subscription', { deviceId, uuid, error });
         }
       }
-    });
+    }
+  }
+
+  // uuid -> Set of clients subscribed through subscribeCharacteristic
+  subscribersOf(deviceId) {
+    if (!this.characteristicSubscribers.has(deviceId)) {
+      this.characteristicSubscribers.set(deviceId, new Map());
+    }
+    return this.characteristicSubscribers.get(deviceId);
   }
 
-  async writeCharacteristic(deviceId, characteristicUUID, value) {
+  getConnectedDevice(deviceId) {
     const device = this.connectedDevices.get(deviceId);
     if (!device || !device.characteristics) {
-        console.error('Device not found or no characteristics:', deviceId);
-        return false;
+      throw new BridgeError(ERROR_CODES.DEVICE_NOT_FOUND, `Device not connected: ${deviceId}`);
     }
+    return device;
+  }
 
-    const characteristic = device.characteristics.get(characteristicUUID);
+  // Looks up a discovered characteristic; `property` ('read', 'notify', ...) must be supported when given
+  getDeviceCharacteristic(deviceId, characteristicUUID, property = null) {
+    const device = this.getConnectedDevice(deviceId);
+    const uuid = normalizeUUID(String(characteristicUUID));
+    const characteristic = device.characteristics.get(uuid);
     if (!characteristic) {
-        console.error('Characteristic not found:', characteristicUUID);
-        return false;
+      throw new BridgeError(ERROR_CODES.CHARACTERISTIC_NOT_FOUND, `Characteristic not found: ${characteristicUUID}`);
     }
 
-    try {
-        await characteristic.writeAsync(Buffer.from(value), false);
-        return true;
-    } catch (error) {
-        console.error('Failed to write characteristic:', error);
-        return false;
+    const properties = characteristic.properties || [];
+    const supported = property === 'notify'
+      ? properties.includes('notify') || properties.includes('indicate')
+      : properties.includes(property);
+    if (property && properties.length > 0 && !supported) {
+      throw new BridgeError(ERROR_CODES.NOT_SUPPORTED, `Characteristic ${characteristicUUID} does not support ${property}`);
+    }
+    return characteristic;
+  }
+
+  // Writes without response unless options.withResponse is true, or the characteristic
+  // only supports writes with response
+  // value is a Buffer or an array of bytes
+  async writeCharacteristic(deviceId, characteristicUUID, value, { withResponse = false } = {}) {
+    if (!Buffer.isBuffer(value) && !isByteArray(value)) {
+      throw new BridgeError(ERROR_CODES.INVALID_PARAMS, 'value must be an array of integers from 0 to 255');
     }
+    const { uuid, properties = [] } = this.getDeviceCharacteristic(deviceId, characteristicUUID);
+    const acknowledged = withResponse || (properties.includes('write') && !properties.includes('writeWithoutResponse'));
+    this.getDeviceCharacteristic(deviceId, uuid, acknowledged ? 'write' : 'writeWithoutResponse');
+
+    await this.gattWrite(deviceId, uuid, Buffer.from(value), acknowledged);
+    return true;
   }
 
-  // Add method to send events to device
-  async sendEventToDevice(deviceId, eventType, data) {
+  // Add method to send events to device; data is a positional array or an object of named params
+  async sendEventToDevice(deviceId, eventType, data, { withResponse = false } = {}) {
     const device = this.connectedDevices.get(deviceId);
-    if (!device) {
-        console.error('Device not found:', deviceId);
-        return false;
+    if (!device || !device.characteristics) {
+        throw new BridgeError(ERROR_CODES.DEVICE_NOT_FOUND, `Device not connected: ${deviceId}`);
     }
-    
-    if (!device.characteristics) {
-        console.error('No characteristics available for device:', deviceId);
-        return false;
+
+    if (!device.characteristics.has(CHARACTERISTIC_UUIDS.COMMAND)) {
+        log.error('Command characteristic not found', {
+            deviceId,
+            lookingFor: CHARACTERISTIC_UUIDS.COMMAND,
+            available: Array.from(device.characteristics.keys())
+        });
+        throw new BridgeError(ERROR_CODES.CHARACTERISTIC_NOT_FOUND, 'Command characteristic not found');
     }
 
-    try {
-        // Try to find command characteristic with different UUID formats
-        const commandUUID = BLE_CHARACTERISTICS.COMMAND;
-        const normalizedCommandUUID = normalizeUUID(commandUUID);
-        
-        let commandChar = device.characteristics.get(commandUUID) || 
-                         device.characteristics.get(normalizedCommandUUID);
-
-        if (!commandChar) {
-            console.error('Command characteristic not found:', {
-                looking_for: [commandUUID, normalizedCommandUUID],
-                available: Array.from(device.characteristics.keys())
-            });
-            return false;
-        }
+    // Validates against the command registry before anything is written
+    const command = encodeCommand(eventType, data, { experimental: this.experimentalCommands });
+    log.debug('Sending command', { deviceId, eventType, bytes: Array.from(command) });
 
-        let command;
-        switch (eventType) {
-            case 'setLuminosity':
-                command = Buffer.from([
-                    COMMANDS.SET_LUMINOSITY, 
-                    data[0],  // intensity
-                    1        // default delay
-                ]);
-                console.log('Sending luminosity command:', Array.from(command));
-                break;
-
-            case 'setColor':
-                command = Buffer.from([
-                    COMMANDS.SET_COLOR,
-                    data[0],  // r
-                    data[1],  // g
-                    data[2],  // b
-                    1        // mode
-                ]);
-                console.log('Sending color command:', Array.from(command));
-                break;
-
-            default:
-                throw new Error('Unknown command type: ' + eventType);
-        }
+    await this.gattWrite(deviceId, CHARACTERISTIC_UUIDS.COMMAND, command, withResponse);
+    log.debug('Command sent', { deviceId, eventType });
+    return true;
+  }
 
-        await commandChar.writeAsync(command, false);
-        console.log('Command sent successfully');
-        return true;
+  // Queued write, mapping stack errors that survive the retries to WRITE_FAILED
+  async gattWrite(deviceId, characteristicUuid, buffer, withResponse = false) {
+    try {
+        await this.gattQueue.run(deviceId, 'write', () =>
+          this.transport.write(deviceId, characteristicUuid, buffer, !withResponse)
+        );
     } catch (error) {
-        console.error('Failed to send command to device:', error);
-        return false;
+        if (error instanceof BridgeError) throw error;
+        log.error('Failed to write characteristic', { deviceId, characteristicUUID: characteristicUuid, error });
+        throw new BridgeError(ERROR_CODES.WRITE_FAILED, error.message);
+    }
+  }
+
+  gattRead(deviceId, characteristicUuid) {
+    return this.gattQueue.run(deviceId, 'read', () => this.transport.read(deviceId, characteristicUuid));
+  }
+
+  nextSequence(deviceId) {
+    const seq = (this.sequences.get(deviceId) || 0) + 1;
+    this.sequences.set(deviceId, seq);
+    return seq;
+  }
+
+  // Decoded, calibrated readings go out as sensorData; the raw bytes still go out as characteristicChanged
+  handleSensorData(deviceId, device, data, stamp) {
+    const packet = decodeSensorData(data);
+    if (!packet) return;
+    // Single-byte packets are the expected legacy format; longer ones that don't parse are worth one warning
+    if (packet.legacy && data.length > 1 && !this.sensorFormatWarnings.has(deviceId)) {
+      this.sensorFormatWarnings.add(deviceId);
+      log.warn('Unrecognized sensor packet, using the first byte as the reading', { deviceId, bytes: Array.from(data) });
     }
+
+    const serialNumber = device.info.serialNumber;
+    const values = packet.readings.map(raw => this.sensorCalibration.apply(serialNumber, raw));
+    device.info.sensorValue = values[values.length - 1];
+
+    this.emit('sensorData', {
+      deviceId,
+      sensorId: packet.sensorId,
+      raw: packet.readings,
+      values,
+      sampleRate: device.sensorConfig?.sampleRate ?? null,
+      ...stamp
+    });
+  }
+
+  // { [deviceId]: { depth, completed, failed, timedOut, retried, averageLatency, maxLatency, lastLatency } }
+  getQueueStats(deviceId = null) {
+    return this.gattQueue.getStats(deviceId);
+  }
+
+  // Names of the commands sendEventToDevice accepts
+  getSupportedCommands() {
+    return this.listCommands().filter(command => command.enabled).map(command => command.name);
+  }
+
+  listCommands() {
+    return listCommands({ experimental: this.experimentalCommands });
   }
 
   formatEventForDevice(eventType, data) {
@@ -441,13 +972,12 @@ class BLEServer extends EventEmitter {
     for (const [deviceId, device] of this.connectedDevices) {
       try {
         // Check if the device is still connected
-        const state = await device.peripheral.stateAsync();
-        if (state !== 'connected') {
-          console.log('Device lost connection:', device.info.name);
+        if (!this.transport.isConnected(deviceId)) {
+          log.warn('Device lost connection', { deviceId, name: device.info.name });
           this.handleDeviceDisconnect(deviceId);
         }
       } catch (error) {
-        console.log('Error checking connection, assuming disconnected:', device.info.name);
+        log.warn('Failed to check connection, assuming disconnected', { deviceId, name: device.info.name, error });
         this.handleDeviceDisconnect(deviceId);
       }
     }
@@ -455,4 +985,3 @@ class BLEServer extends EventEmitter {
 }
 
 module.exports = { BLEServer };
-
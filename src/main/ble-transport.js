@@ -0,0 +1,93 @@
+// Interface every BLE backend implements, so BLEServer never talks to a stack directly
+const EventEmitter = require('events');
+const { ERROR_CODES } = require('../common/constants');
+const { BridgeError } = require('../common/errors');
+
+// Characteristic UUIDs are exchanged in this form: lowercase, no dashes
+function normalizeUUID(uuid) {
+  return uuid.toLowerCase().replace(/-/g, '');
+}
+
+// Transports emit:
+//   'stateChange'  (state)                       'poweredOn', 'poweredOff', ...
+//   'discover'     (device)                      { id, name, rssi, advertisement }
+//   'scanStart', 'scanStop'
+//   'disconnect'   (deviceId)
+//   'notification' (deviceId, characteristicUuid, data)
+class BLETransport extends EventEmitter {
+  // Called once BLEServer has attached its listeners
+  async initialize() {}
+
+  async startScanning({ serviceUuids = [], allowDuplicates = true } = {}) {
+    this.notSupported('scanning');
+  }
+
+  async stopScanning() {
+    this.notSupported('scanning');
+  }
+
+  async connect(deviceId) {
+    this.notSupported('connect');
+  }
+
+  async disconnect(deviceId) {
+    this.notSupported('disconnect');
+  }
+
+  isConnected(deviceId) {
+    this.notSupported('connection state');
+  }
+
+  // Resolves with [{ uuid, serviceUuid, properties }] for every characteristic of the device
+  async discoverCharacteristics(deviceId) {
+    this.notSupported('service discovery');
+  }
+
+  // Resolves with a Buffer
+  async read(deviceId, characteristicUuid) {
+    this.notSupported('read');
+  }
+
+  // withoutResponse mirrors noble's writeAsync flag
+  async write(deviceId, characteristicUuid, data, withoutResponse = false) {
+    this.notSupported('write');
+  }
+
+  // Values arrive afterwards as 'notification' events
+  async subscribe(deviceId, characteristicUuid) {
+    this.notSupported('subscribe');
+  }
+
+  async unsubscribe(deviceId, characteristicUuid) {
+    this.notSupported('unsubscribe');
+  }
+
+  notSupported(operation) {
+    throw new BridgeError(
+      ERROR_CODES.NOT_SUPPORTED,
+      `${this.constructor.name} does not support ${operation}`
+    );
+  }
+}
+
+// Backends are required lazily so an unused stack is never loaded
+function createTransport(type = 'noble', options = {}) {
+  switch (type) {
+    case 'noble': {
+      const { NobleTransport } = require('./noble-transport');
+      return new NobleTransport(options);
+    }
+    case 'simulated': {
+      const { SimulatedTransport } = require('./simulated-transport');
+      return new SimulatedTransport(options);
+    }
+    case 'windows': {
+      const { WindowsBLEAdapter } = require('./win-ble-adapter');
+      return new WindowsBLEAdapter(options);
+    }
+    default:
+      throw new Error(`Unknown BLE transport: ${type}`);
+  }
+}
+
+module.exports = { BLETransport, createTransport, normalizeUUID };
@@ -0,0 +1,54 @@
+// Self-signed certificate for wss:// mode, generated on first use and kept under userData
+const fs = require('fs');
+const path = require('path');
+const selfsigned = require('selfsigned');
+const log = require('../common/logger').child('certificate');
+
+const CERT_VALIDITY_DAYS = 825;
+
+function loadOrCreateCertificate(directory) {
+  const keyPath = path.join(directory, 'bridge-key.pem');
+  const certPath = path.join(directory, 'bridge-cert.pem');
+
+  if (fs.existsSync(keyPath) && fs.existsSync(certPath)) {
+    return {
+      key: fs.readFileSync(keyPath, 'utf8'),
+      cert: fs.readFileSync(certPath, 'utf8'),
+      certPath
+    };
+  }
+
+  log.info('Generating self-signed certificate', { directory });
+  const pems = selfsigned.generate([{ name: 'commonName', value: 'localhost' }], {
+    days: CERT_VALIDITY_DAYS,
+    keySize: 2048,
+    algorithm: 'sha256',
+    extensions: [
+      { name: 'basicConstraints', cA: false },
+      { name: 'keyUsage', digitalSignature: true, keyEncipherment: true },
+      { name: 'extKeyUsage', serverAuth: true },
+      {
+        name: 'subjectAltName',
+        altNames: [
+          { type: 2, value: 'localhost' },
+          { type: 7, ip: '127.0.0.1' },
+          { type: 7, ip: '::1' }
+        ]
+      }
+    ]
+  });
+
+  fs.mkdirSync(directory, { recursive: true });
+  fs.writeFileSync(keyPath, pems.private, { mode: 0o600 });
+  fs.writeFileSync(certPath, pems.cert);
+
+  return { key: pems.private, cert: pems.cert, certPath };
+}
+
+// Whether a PEM certificate presented to Chromium is the one we generated
+function isBridgeCertificate(pem, certificate) {
+  const normalize = value => value.replace(/\r\n/g, '\n').trim();
+  return Boolean(certificate) && normalize(pem) === normalize(certificate.cert);
+}
+
+module.exports = { loadOrCreateCertificate, isBridgeCertificate };
@@ -0,0 +1,159 @@
+// Per-connection state for WebSocket clients
+const WebSocket = require('ws');
+const { StreamScheduler } = require('./stream-policy');
+
+// Broadcast message types grouped into categories clients can opt into
+const EVENT_CATEGORIES = {
+  devices: [
+    'deviceFound',
+    'deviceLost',
+    'deviceConnected',
+    'deviceDisconnected',
+    'deviceReconnecting',
+    'deviceReconnected',
+    'devicesList',
+    'deviceStateDelta',
+    'deviceInfo'
+  ],
+  scan: ['scanState'],
+  buttons: ['buttonEvent', 'gesture'],
+  sensors: ['sensorData'],
+  characteristics: ['characteristicChanged'],
+  events: ['event'],
+  animations: ['animationEnded'],
+  groups: ['groupsChanged'],
+  recording: ['recordingState', 'replayState']
+};
+
+const BROADCAST_TYPES = Object.values(EVENT_CATEGORIES).flat();
+
+function categoryOf(messageType) {
+  return Object.keys(EVENT_CATEGORIES)
+    .find(category => EVENT_CATEGORIES[category].includes(messageType));
+}
+
+// Device a broadcast refers to, if any (`devicesList` covers all devices)
+function deviceIdOf(message) {
+  return message.deviceId ?? message.device?.id ?? null;
+}
+
+class ClientSession {
+  constructor(ws, { origin = null, remoteAddress = null } = {}) {
+    this.ws = ws;
+    this.origin = origin;
+    this.remoteAddress = remoteAddress;
+    // Unauthorized clients may only send `hello`/`pair` and receive no broadcasts
+    this.authorized = true;
+    // Stays null until the client sends `hello`; legacy clients never do
+    this.protocolVersion = null;
+    this.clientName = null;
+    // null means every category, which is what legacy clients get
+    this.categories = null;
+    // subscriptionId -> { deviceIds: Set|null, events: Set|null }
+    this.subscriptions = new Map();
+    this.nextSubscriptionId = 1;
+    // How characteristic values are sent: 'array', 'base64' or 'hex'
+    this.encoding = 'array';
+    // `${deviceId}/${uuid}` -> encoding chosen when subscribing to that characteristic
+    this.characteristicEncodings = new Map();
+    // policyId -> validated stream policy (see stream-policy.js); the newest matching one applies
+    this.streamPolicies = new Map();
+    this.nextPolicyId = 1;
+    this.scheduler = new StreamScheduler((message) => this.send(message));
+  }
+
+  encodingFor(deviceId, characteristicUUID) {
+    return this.characteristicEncodings.get(`${deviceId}/${characteristicUUID}`) || this.encoding;
+  }
+
+  get negotiated() {
+    return this.protocolVersion !== null;
+  }
+
+  // Whether a broadcast message should be delivered to this client
+  wants(message) {
+    if (this.categories) {
+      const category = categoryOf(message.type);
+      if (category && !this.categories.has(category)) return false;
+    }
+
+    // Without subscriptions the client gets everything, as before
+    if (this.subscriptions.size === 0) return true;
+
+    const deviceId = deviceIdOf(message);
+    for (const subscription of this.subscriptions.values()) {
+      if (subscription.events && !subscription.events.has(message.type)) continue;
+      if (subscription.deviceIds && deviceId !== null && !subscription.deviceIds.has(deviceId)) continue;
+      return true;
+    }
+    return false;
+  }
+
+  addSubscription({ deviceIds = null, events = null }) {
+    const subscriptionId = this.nextSubscriptionId++;
+    this.subscriptions.set(subscriptionId, {
+      deviceIds: deviceIds ? new Set(deviceIds) : null,
+      events: events ? new Set(events) : null
+    });
+    return subscriptionId;
+  }
+
+  // Remove one subscription, or all of them when no id is given
+  removeSubscription(subscriptionId) {
+    if (subscriptionId === undefined) {
+      const removed = Array.from(this.subscriptions.keys());
+      this.subscriptions.clear();
+      return removed;
+    }
+    return this.subscriptions.delete(subscriptionId) ? [subscriptionId] : [];
+  }
+
+  addStreamPolicy(policy) {
+    const policyId = this.nextPolicyId++;
+    this.streamPolicies.set(policyId, { policyId, ...policy });
+    return policyId;
+  }
+
+  // Remove one policy, or all of them when no id is given; held messages are sent right away
+  removeStreamPolicy(policyId) {
+    const removed = policyId === undefined
+      ? Array.from(this.streamPolicies.keys())
+      : [policyId].filter(id => this.streamPolicies.has(id));
+    removed.forEach(id => {
+      this.streamPolicies.delete(id);
+      this.scheduler.flush(id);
+    });
+    return removed;
+  }
+
+  streamPolicyFor(message) {
+    const deviceId = deviceIdOf(message);
+    return Array.from(this.streamPolicies.values()).reverse().find(policy =>
+      policy.events.has(message.type)
+      && (!policy.deviceIds || policy.deviceIds.has(deviceId))
+    ) || null;
+  }
+
+  // Broadcasts go through here so stream policies can hold, drop or batch them;
+  // `serialized` is the JSON to send when no policy applies
+  deliver(message, serialized = null) {
+    const policy = this.streamPolicyFor(message);
+    if (policy) {
+      this.scheduler.push(policy, message);
+    } else {
+      this.send(serialized || message);
+    }
+  }
+
+  close() {
+    this.scheduler.clear();
+  }
+
+  send(message) {
+    if (this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(typeof message === 'string' ? message : JSON.stringify(message));
+    }
+  }
+}
+
+module.exports = { ClientSession, EVENT_CATEGORIES, BROADCAST_TYPES };
@@ -0,0 +1,152 @@
+// Declarative registry of the commands written to the COMMAND characteristic
+const { ERROR_CODES } = require('../common/constants');
+const { BridgeError } = require('../common/errors');
+
+// Command characteristic limit: [opcode (1 byte)][payload (0-19 bytes)]
+const COMMAND_MAX_LENGTH = 20;
+
+const PARAM_TYPES = {
+  uint8: { size: 1, min: 0, max: 0xff, write: (buffer, value, offset) => buffer.writeUInt8(value, offset) },
+  uint16: { size: 2, min: 0, max: 0xffff, write: (buffer, value, offset) => buffer.writeUInt16LE(value, offset) }
+};
+
+const uint8 = (name, description, extra = {}) => ({ name, type: 'uint8', description, ...extra });
+
+// Params are encoded in order after the opcode. A param without a default is required.
+// Commands marked experimental come from TECHNICAL_SPECIFICATION.md and have not been
+// confirmed on cube firmware; startOperation/stopOperation share opcodes with
+// setLuminosity/setColor there, so they are only sent when experimental commands are enabled.
+const COMMANDS = {
+  setLuminosity: {
+    opcode: 0x01,
+    description: 'Set the LED brightness',
+    params: [
+      uint8('intensity', 'Brightness, 0 (off) to 255'),
+      uint8('delay', 'Transition delay in firmware units', { default: 1 })
+    ]
+  },
+  setColor: {
+    opcode: 0x02,
+    description: 'Set the LED color',
+    params: [
+      uint8('r', 'Red'),
+      uint8('g', 'Green'),
+      uint8('b', 'Blue'),
+      uint8('mode', 'Color mode; 1 is the mode the bridge has always used', { default: 1 })
+    ]
+  },
+  startOperation: {
+    opcode: 0x01,
+    description: 'Start operation',
+    experimental: true,
+    params: []
+  },
+  stopOperation: {
+    opcode: 0x02,
+    description: 'Stop operation',
+    experimental: true,
+    params: []
+  },
+  reset: {
+    opcode: 0x03,
+    description: 'Reset the device',
+    experimental: true,
+    params: []
+  },
+  enterDfu: {
+    opcode: 0x04,
+    description: 'Reboot into firmware update (DFU) mode',
+    experimental: true,
+    params: []
+  },
+  requestDiagnostics: {
+    opcode: 0x05,
+    description: 'Ask the device to report diagnostics',
+    experimental: true,
+    params: []
+  }
+};
+
+function getCommand(name, { experimental = false } = {}) {
+  const command = Object.prototype.hasOwnProperty.call(COMMANDS, name) ? COMMANDS[name] : null;
+  if (!command) {
+    throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, `Unknown command: ${name}`);
+  }
+  if (command.experimental && !experimental) {
+    throw new BridgeError(ERROR_CODES.NOT_SUPPORTED, `Command ${name} is experimental and disabled`);
+  }
+  return command;
+}
+
+// Params may be positional (the legacy `data` array) or an object keyed by param name
+function resolveParams(name, command, params) {
+  if (params === undefined || params === null) return command.params.map(() => undefined);
+  if (Array.isArray(params)) {
+    if (params.length > command.params.length) {
+      throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, `${name} takes at most ${command.params.length} parameters`);
+    }
+    return command.params.map((param, index) => params[index]);
+  }
+  if (typeof params === 'object') {
+    const unknown = Object.keys(params).filter(key => !command.params.some(param => param.name === key));
+    if (unknown.length) {
+      throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, `Unknown parameters for ${name}: ${unknown.join(', ')}`);
+    }
+    return command.params.map(param => params[param.name]);
+  }
+  throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, `${name} parameters must be an array or an object`);
+}
+
+// Validates params against the schema and returns the bytes to write
+function encodeCommand(name, params, options = {}) {
+  const command = getCommand(name, options);
+  const values = resolveParams(name, command, params).map((value, index) => {
+    const param = command.params[index];
+    if (value === undefined || value === null) {
+      if (param.default === undefined) {
+        throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, `${name} requires parameter ${param.name}`);
+      }
+      return param.default;
+    }
+    const { min, max } = { ...PARAM_TYPES[param.type], ...param };
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, `${name}.${param.name} must be an integer from ${min} to ${max}`);
+    }
+    return value;
+  });
+
+  const length = 1 + command.params.reduce((total, param) => total + PARAM_TYPES[param.type].size, 0);
+  if (length > COMMAND_MAX_LENGTH) {
+    throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, `${name} encodes to ${length} bytes; the limit is ${COMMAND_MAX_LENGTH}`);
+  }
+
+  const buffer = Buffer.alloc(length);
+  buffer.writeUInt8(command.opcode, 0);
+  let offset = 1;
+  command.params.forEach((param, index) => {
+    PARAM_TYPES[param.type].write(buffer, values[index], offset);
+    offset += PARAM_TYPES[param.type].size;
+  });
+  return buffer;
+}
+
+// Registry description for clients (`listCommands`)
+function listCommands({ experimental = false } = {}) {
+  return Object.entries(COMMANDS).map(([name, command]) => ({
+    name,
+    opcode: command.opcode,
+    description: command.description,
+    experimental: Boolean(command.experimental),
+    enabled: !command.experimental || experimental,
+    params: command.params.map(param => ({
+      name: param.name,
+      type: param.type,
+      min: param.min ?? PARAM_TYPES[param.type].min,
+      max: param.max ?? PARAM_TYPES[param.type].max,
+      ...(param.default !== undefined ? { default: param.default } : {}),
+      description: param.description
+    }))
+  }));
+}
+
+module.exports = { COMMANDS, COMMAND_MAX_LENGTH, encodeCommand, listCommands };
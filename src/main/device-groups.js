@@ -0,0 +1,66 @@
+// Named groups of device IDs (e.g. teams), persisted in the store
+const EventEmitter = require('events');
+const { ERROR_CODES } = require('../common/constants');
+const { BridgeError } = require('../common/errors');
+
+const STORE_KEY = 'deviceGroups';
+const MAX_GROUP_ID_LENGTH = 64;
+// Group IDs are keys clients target commands with; display text belongs in the group's name
+const GROUP_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/i;
+
+// Emits 'changed' (groups) after every setGroup/deleteGroup
+class DeviceGroups extends EventEmitter {
+  constructor(store) {
+    super();
+    this.store = store;
+  }
+
+  // [{ id, name, deviceIds }]
+  list() {
+    return Object.entries(this.store.get(STORE_KEY, {}))
+      .map(([id, group]) => ({ id, ...group }));
+  }
+
+  get(groupId) {
+    const group = this.store.get(STORE_KEY, {})[groupId];
+    if (!group) {
+      throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, `Unknown group: ${groupId}`);
+    }
+    return { id: groupId, ...group };
+  }
+
+  // Creates the group or replaces its name and members
+  set(groupId, { name, deviceIds }) {
+    if (typeof groupId !== 'string' || !GROUP_ID_PATTERN.test(groupId) || groupId.length > MAX_GROUP_ID_LENGTH) {
+      throw new BridgeError(ERROR_CODES.INVALID_MESSAGE,
+        `groupId must be 1 to ${MAX_GROUP_ID_LENGTH} letters, digits or dashes, starting with a letter or digit`);
+    }
+    if (!Array.isArray(deviceIds) || !deviceIds.every(id => typeof id === 'string' && id)) {
+      throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, 'deviceIds must be an array of device IDs');
+    }
+    if (name !== undefined && typeof name !== 'string') {
+      throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, 'name must be a string');
+    }
+
+    const groups = this.store.get(STORE_KEY, {});
+    groups[groupId] = {
+      name: name || groups[groupId]?.name || groupId,
+      deviceIds: Array.from(new Set(deviceIds))
+    };
+    this.store.set(STORE_KEY, groups);
+    this.emit('changed', this.list());
+    return { id: groupId, ...groups[groupId] };
+  }
+
+  // Returns false when the group did not exist
+  delete(groupId) {
+    const groups = this.store.get(STORE_KEY, {});
+    if (!groups[groupId]) return false;
+    delete groups[groupId];
+    this.store.set(STORE_KEY, groups);
+    this.emit('changed', this.list());
+    return true;
+  }
+}
+
+module.exports = { DeviceGroups };
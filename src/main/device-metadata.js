@@ -0,0 +1,62 @@
+// User-assigned alias, identity color and tags per cube, keyed by serial number so they
+// follow the cube across transports and machines
+const { ERROR_CODES } = require('../common/constants');
+const { BridgeError } = require('../common/errors');
+
+const STORE_KEY = 'deviceMetadata';
+const MAX_ALIAS_LENGTH = 64;
+const MAX_TAGS = 20;
+
+const EMPTY_METADATA = { alias: null, color: null, tags: [] };
+
+class DeviceMetadata {
+  constructor(store) {
+    this.store = store;
+  }
+
+  // Always returns every field, filled with defaults when nothing was stored
+  get(serialNumber) {
+    const stored = serialNumber ? this.store.get(STORE_KEY, {})[serialNumber] : null;
+    return { ...EMPTY_METADATA, ...stored, tags: [...(stored?.tags || [])] };
+  }
+
+  // Updates only the fields present in `changes`; null clears alias or color
+  set(serialNumber, changes) {
+    if (!serialNumber || serialNumber === 'Unknown') {
+      throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, 'Metadata needs a known serial number; connect the device once first');
+    }
+
+    const metadata = this.get(serialNumber);
+    if (changes.alias !== undefined) {
+      if (changes.alias !== null && (typeof changes.alias !== 'string' || changes.alias.length > MAX_ALIAS_LENGTH)) {
+        throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, `alias must be a string of at most ${MAX_ALIAS_LENGTH} characters`);
+      }
+      metadata.alias = changes.alias ? changes.alias.trim() : null;
+    }
+    if (changes.color !== undefined) {
+      if (changes.color !== null && !isColor(changes.color)) {
+        throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, 'color must be [r, g, b] with values from 0 to 255');
+      }
+      metadata.color = changes.color;
+    }
+    if (changes.tags !== undefined) {
+      if (!Array.isArray(changes.tags) || changes.tags.length > MAX_TAGS
+          || !changes.tags.every(tag => typeof tag === 'string' && tag.trim())) {
+        throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, `tags must be an array of at most ${MAX_TAGS} non-empty strings`);
+      }
+      metadata.tags = Array.from(new Set(changes.tags.map(tag => tag.trim())));
+    }
+
+    const all = this.store.get(STORE_KEY, {});
+    all[serialNumber] = metadata;
+    this.store.set(STORE_KEY, all);
+    return metadata;
+  }
+}
+
+function isColor(value) {
+  return Array.isArray(value) && value.length === 3
+    && value.every(channel => Number.isInteger(channel) && channel >= 0 && channel <= 255);
+}
+
+module.exports = { DeviceMetadata };
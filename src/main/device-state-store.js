@@ -0,0 +1,28 @@
+// Authoritative, revisioned copy of the device list that clients mirror through deltas
+const { diff } = require('../common/json-patch');
+
+// The revision goes up by one per non-empty update, so a client can spot a missed delta
+class DeviceStateStore {
+  constructor() {
+    this.revision = 0;
+    this.devices = {}; // deviceId -> device, as returned by BLEServer.getAllDevices
+  }
+
+  // Replaces the state with `devices` (an array) and returns the patch, empty when nothing changed
+  update(devices) {
+    const next = Object.fromEntries(devices.map(device => [device.id, device]));
+    const patch = diff(this.devices, next);
+    if (patch.length === 0) return patch;
+
+    this.devices = JSON.parse(JSON.stringify(next));
+    this.revision++;
+    return patch;
+  }
+
+  // Deep copy, so callers can't change the stored state
+  snapshot() {
+    return { revision: this.revision, devices: JSON.parse(JSON.stringify(this.devices)) };
+  }
+}
+
+module.exports = { DeviceStateStore };
@@ -0,0 +1,47 @@
+// Diagnostics bundle for bug reports: logs, device state and bridge configuration in one zip
+const os = require('os');
+const AdmZip = require('adm-zip');
+const logger = require('../common/logger');
+const log = logger.child('diagnostics');
+
+// Store keys holding credentials; only their presence is exported
+const REDACTED_KEYS = ['pairingTokens'];
+
+function redactConfig(config) {
+  return Object.fromEntries(Object.entries(config).map(([key, value]) =>
+    [key, REDACTED_KEYS.includes(key) ? '[redacted]' : value]));
+}
+
+const json = (value) => Buffer.from(JSON.stringify(value, null, 2));
+
+// config is the bridge's whole settings object (electron-store's `store`);
+// about is merged into bridge.json, e.g. the app and Electron versions
+async function exportDiagnostics(file, { bleServer, wsServer, config = {}, about = {} }) {
+  await logger.flush();
+  const zip = new AdmZip();
+
+  for (const logFile of await logger.listFiles()) {
+    zip.addLocalFile(logFile.path, 'logs');
+  }
+  zip.addFile('devices.json', json({
+    ...bleServer.getDeviceState(),
+    scanning: bleServer.scanning,
+    gattQueue: bleServer.getQueueStats()
+  }));
+  zip.addFile('config.json', json(redactConfig(config)));
+  zip.addFile('bridge.json', json({
+    exportedAt: new Date().toISOString(),
+    ...about,
+    url: wsServer.getUrl(),
+    clients: wsServer.clients.size,
+    platform: process.platform,
+    arch: process.arch,
+    osRelease: os.release(),
+    versions: process.versions
+  }));
+
+  await zip.writeZipPromise(file);
+  log.info('Exported diagnostics', { file });
+}
+
+module.exports = { exportDiagnostics };
@@ -0,0 +1,128 @@
+// Serializes GATT operations per device, with timeouts, retries and latency stats
+const { BLE_OPERATION_TIMEOUT, ERROR_CODES } = require('../common/constants');
+const { BridgeError, withTimeout } = require('../common/errors');
+const log = require('../common/logger').child('gatt');
+
+const DEFAULT_OPTIONS = {
+  timeout: BLE_OPERATION_TIMEOUT, // ms per attempt
+  retries: 2,                     // extra attempts after a transient failure
+  retryDelay: 100                 // ms, doubled after each retry
+};
+
+// BridgeErrors are deliberate answers (unknown characteristic, timeout, ...), so they are not
+// retried; a timed-out operation may still complete later, and retrying it could overlap.
+// Anything else comes from the BLE stack and is worth another try.
+function isTransient(error) {
+  return !(error instanceof BridgeError);
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class GattQueue {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.devices = new Map(); // deviceId -> { pending: [], running, stats }
+  }
+
+  // Resolves with the operation's result once every earlier operation for the device has settled.
+  // options override timeout/retries for this operation.
+  run(deviceId, name, operation, options = {}) {
+    const state = this.getState(deviceId);
+    return new Promise((resolve, reject) => {
+      state.pending.push({ name, operation, options, resolve, reject, queuedAt: Date.now() });
+      this.drain(deviceId);
+    });
+  }
+
+  async drain(deviceId) {
+    const state = this.getState(deviceId);
+    if (state.running) return;
+    state.running = true;
+
+    while (state.pending.length > 0) {
+      const job = state.pending.shift();
+      try {
+        job.resolve(await this.execute(state, job));
+        this.record(state, job, 'completed');
+      } catch (error) {
+        job.reject(error);
+        this.record(state, job, error.code === ERROR_CODES.TIMEOUT ? 'timedOut' : 'failed');
+      }
+    }
+    state.running = false;
+  }
+
+  async execute(state, job) {
+    const { timeout, retries, retryDelay } = { ...this.options, ...job.options };
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await withTimeout(
+          Promise.resolve().then(job.operation),
+          timeout,
+          `BLE ${job.name} timed out after ${timeout}ms`
+        );
+      } catch (error) {
+        if (attempt >= retries || !isTransient(error)) throw error;
+        state.stats.retried++;
+        log.warn(`Retrying BLE ${job.name}`, { attempt: attempt + 1, error });
+        await delay(retryDelay * 2 ** attempt);
+      }
+    }
+  }
+
+  record(state, job, outcome) {
+    const latency = Date.now() - job.queuedAt;
+    const { stats } = state;
+    stats[outcome]++;
+    stats.lastLatency = latency;
+    stats.maxLatency = Math.max(stats.maxLatency, latency);
+    stats.totalLatency += latency;
+  }
+
+  // Reject everything still waiting, e.g. when the device disconnects;
+  // the operation in flight (if any) settles on its own
+  clear(deviceId, error) {
+    const state = this.devices.get(deviceId);
+    if (!state) return;
+    const pending = state.pending.splice(0);
+    for (const job of pending) {
+      job.reject(error);
+      this.record(state, job, 'failed');
+    }
+  }
+
+  // { [deviceId]: { depth, completed, failed, timedOut, retried, averageLatency, maxLatency, lastLatency } }
+  // Latency is measured from enqueueing to settling, in ms
+  getStats(deviceId = null) {
+    const entries = deviceId === null
+      ? Array.from(this.devices.entries())
+      : [[deviceId, this.devices.get(deviceId)]].filter(([, state]) => state);
+
+    return Object.fromEntries(entries.map(([id, { pending, running, stats }]) => {
+      const settled = stats.completed + stats.failed + stats.timedOut;
+      return [id, {
+        depth: pending.length + (running ? 1 : 0),
+        completed: stats.completed,
+        failed: stats.failed,
+        timedOut: stats.timedOut,
+        retried: stats.retried,
+        averageLatency: settled ? Math.round(stats.totalLatency / settled) : null,
+        maxLatency: settled ? stats.maxLatency : null,
+        lastLatency: stats.lastLatency
+      }];
+    }));
+  }
+
+  getState(deviceId) {
+    if (!this.devices.has(deviceId)) {
+      this.devices.set(deviceId, {
+        pending: [],
+        running: false,
+        stats: { completed: 0, failed: 0, timedOut: 0, retried: 0, totalLatency: 0, maxLatency: 0, lastLatency: null }
+      });
+    }
+    return this.devices.get(deviceId);
+  }
+}
+
+module.exports = { GattQueue };
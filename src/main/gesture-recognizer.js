@@ -0,0 +1,129 @@
+// Derives click, double click, long press and force-level gestures from raw buttonEvents
+const EventEmitter = require('events');
+const { bridgeTime } = require('../common/clock');
+
+const DEFAULT_OPTIONS = {
+  longPressThreshold: 800,        // ms held before a press counts as a long press
+  doubleClickWindow: 300,         // ms after a click to wait for a second one; 0 reports clicks at once
+  forceThresholds: [64, 128, 192] // force values that separate force levels 0..n
+};
+
+// Emits 'gesture' ({ deviceId, gesture, timestamp, ... }) where gesture is
+// 'click', 'doubleClick', 'longPress', 'longPressEnd' or 'forceLevel'
+class GestureRecognizer extends EventEmitter {
+  constructor(bleServer, options = {}) {
+    super();
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.options.forceThresholds = [...this.options.forceThresholds].sort((a, b) => a - b);
+    this.devices = new Map(); // deviceId -> { pressedAt, longPressTimer, longPressed, pendingClick, forceLevel }
+
+    bleServer.on('buttonEvent', (event) => this.handleButtonEvent(event));
+    bleServer.on('deviceDisconnected', (device) => this.reset(device.id));
+  }
+
+  // Press and release times come from the notification's receivedAt, not from when it is handled
+  handleButtonEvent({ deviceId, state, force = 0, receivedAt = bridgeTime() }) {
+    const now = receivedAt;
+    const device = this.getState(deviceId);
+
+    if (state === 'pressed') {
+      // Force changes while held arrive as repeated 'pressed' events
+      if (device.pressedAt === null) this.startPress(deviceId, device, now);
+      this.checkForceLevel(deviceId, device, force, now);
+      return;
+    }
+
+    this.checkForceLevel(deviceId, device, 0, now);
+    if (device.pressedAt === null) return;
+    clearTimeout(device.longPressTimer);
+    const pressedAt = device.pressedAt;
+    device.pressedAt = null;
+
+    const click = { pressedAt, releasedAt: now, pressDuration: now - pressedAt };
+    // The long press itself was reported when the threshold passed
+    if (device.longPressed) {
+      this.emitGesture(deviceId, 'longPressEnd', click);
+      return;
+    }
+
+    if (device.pendingClick) {
+      clearTimeout(device.pendingClick.timer);
+      const first = device.pendingClick;
+      device.pendingClick = null;
+      this.emitGesture(deviceId, 'doubleClick', {
+        ...click,
+        pressedAt: first.pressedAt,
+        interval: pressedAt - first.releasedAt
+      });
+    } else if (this.options.doubleClickWindow > 0) {
+      device.pendingClick = {
+        ...click,
+        timer: setTimeout(() => {
+          device.pendingClick = null;
+          this.emitGesture(deviceId, 'click', click);
+        }, this.options.doubleClickWindow)
+      };
+    } else {
+      this.emitGesture(deviceId, 'click', click);
+    }
+  }
+
+  startPress(deviceId, device, now) {
+    device.pressedAt = now;
+    device.longPressed = false;
+    device.longPressTimer = setTimeout(() => {
+      device.longPressed = true;
+      this.emitGesture(deviceId, 'longPress', {
+        pressedAt: device.pressedAt,
+        pressDuration: bridgeTime() - device.pressedAt
+      });
+    }, this.options.longPressThreshold);
+  }
+
+  checkForceLevel(deviceId, device, force, now) {
+    const level = this.options.forceThresholds.filter(threshold => force >= threshold).length;
+    if (level === device.forceLevel) return;
+
+    const previousLevel = device.forceLevel;
+    device.forceLevel = level;
+    this.emitGesture(deviceId, 'forceLevel', {
+      level,
+      previousLevel,
+      direction: level > previousLevel ? 'up' : 'down',
+      force,
+      pressDuration: device.pressedAt !== null ? now - device.pressedAt : null
+    });
+  }
+
+  emitGesture(deviceId, gesture, details) {
+    this.emit('gesture', { deviceId, gesture, timestamp: bridgeTime(), ...details });
+  }
+
+  // Drop half-finished gestures, e.g. when the device disconnects mid-press
+  reset(deviceId) {
+    const device = this.devices.get(deviceId);
+    if (!device) return;
+    clearTimeout(device.longPressTimer);
+    clearTimeout(device.pendingClick?.timer);
+    this.devices.delete(deviceId);
+  }
+
+  resetAll() {
+    Array.from(this.devices.keys()).forEach(deviceId => this.reset(deviceId));
+  }
+
+  getState(deviceId) {
+    if (!this.devices.has(deviceId)) {
+      this.devices.set(deviceId, {
+        pressedAt: null,
+        longPressTimer: null,
+        longPressed: false,
+        pendingClick: null,
+        forceLevel: 0
+      });
+    }
+    return this.devices.get(deviceId);
+  }
+}
+
+module.exports = { GestureRecognizer };
@@ -1,16 +1,131 @@
 // src/main/index.js
-const { app, BrowserWindow, Tray, Menu, nativeImage } = require('electron');
+const { app, BrowserWindow, Tray, Menu, nativeImage, dialog, session, shell } = require('electron');
+const fs = require('fs');
 const path = require('path');
 const Store = require('electron-store');
 const AutoLaunch = require('auto-launch');
+const logger = require('../common/logger');
 const { BLEServer } = require('./ble-server');
 const { WSServer } = require('./ws-server');
+const { PairingManager } = require('./pairing-manager');
+const { AnimationEngine } = require('./animation-engine');
+const { DeviceGroups } = require('./device-groups');
+const { SessionRecorder } = require('./session-recorder');
+const { SessionReplayer } = require('./session-replayer');
+const { exportDiagnostics } = require('./diagnostics');
+const { loadOrCreateCertificate, isBridgeCertificate } = require('./certificate');
+const { WS_HOST, WS_PORT, WS_PORT_FALLBACK_RANGE } = require('../common/constants');
 
 let mainWindow;
 let tray;
 const store = new Store();
-const bleServer = new BLEServer();
-const wsServer = new WSServer(bleServer);
+// { level, maxSize, maxFiles, maxAge } for the JSON-lines log in <userData>/logs; --debug logs everything
+logger.configure({
+  directory: path.join(app.getPath('userData'), 'logs'),
+  ...store.get('logging', {}),
+  ...(process.argv.includes('--debug') ? { level: 'debug' } : {})
+});
+const log = logger.child('app');
+// `--simulate[=count]` swaps the BLE stack for virtual cubes
+const simulateArg = process.argv.find(arg => arg === '--simulate' || arg.startsWith('--simulate='));
+const bleServer = new BLEServer({
+  store,
+  reconnect: store.get('reconnect', {}),
+  staleness: store.get('staleness', {}),
+  // Characteristic names or UUIDs to subscribe on connect; defaults to sensor, button and battery
+  autoSubscribe: store.get('autoSubscribe'),
+  // Unverified commands from the spec (reset, DFU, ...); see src/main/commands.js
+  experimentalCommands: store.get('experimentalCommands', false),
+  // { longPressThreshold, doubleClickWindow, forceThresholds } for gesture messages
+  gestures: store.get('gestures', {}),
+  // { timeout, retries, retryDelay } for queued GATT operations
+  gattQueue: store.get('gattQueue', {}),
+  // ms allowed for connecting to a cube and discovering its characteristics
+  connectTimeout: store.get('connectTimeout'),
+  ...(simulateArg ? {
+    transport: 'simulated',
+    transportOptions: { deviceCount: parseInt(simulateArg.split('=')[1], 10) || 2 }
+  } : {
+    // 'noble' (default) or 'windows'
+    transport: store.get('bleTransport', 'noble')
+  })
+});
+const pairing = new PairingManager(store);
+const animations = new AnimationEngine(bleServer, store.get('animation', {}));
+// Recorded sessions are JSONL files in <userData>/sessions
+const sessionsDirectory = path.join(app.getPath('userData'), 'sessions');
+const recorder = new SessionRecorder(bleServer, { directory: sessionsDirectory });
+const replayer = new SessionReplayer({ directory: sessionsDirectory, gestures: store.get('gestures', {}) });
+const wsServer = new WSServer(bleServer, {
+  pairing,
+  animations,
+  groups: new DeviceGroups(store),
+  recorder,
+  replayer,
+  host: store.get('wsHost', WS_HOST),
+  portFallbackRange: store.get('wsPortFallbackRange', WS_PORT_FALLBACK_RANGE)
+});
+
+function getCertificate() {
+  return loadOrCreateCertificate(path.join(app.getPath('userData'), 'certificates'));
+}
+
+// (Re)start the WebSocket server with the current port and TLS settings
+async function startBridgeServer() {
+  await wsServer.stop();
+  wsServer.tls = store.get('secureWebSocket', false) ? getCertificate() : null;
+  const port = store.get('wsPort', WS_PORT);
+  const activePort = await wsServer.start(port);
+  if (activePort !== port) {
+    log.warn(`Port ${port} was busy, bridge is listening on ${activePort} instead`);
+  }
+}
+
+function showServerError(error, port) {
+  const lastPort = port + wsServer.portFallbackRange;
+  dialog.showErrorBox('Cosmoid Bridge',
+    `The bridge could not start its WebSocket server on ports ${port} to ${lastPort}: ${error.message}\n\n` +
+    'Choose another port in the bridge window.');
+}
+
+// Store `changes` and restart the server; if it can't start with them, the previous
+// settings are restored so the bridge keeps serving
+async function applyServerSettings(changes) {
+  const previous = Object.fromEntries(Object.keys(changes).map(key => [key, store.get(key)]));
+  Object.entries(changes).forEach(([key, value]) => store.set(key, value));
+  try {
+    await startBridgeServer();
+  } catch (error) {
+    log.error('Failed to restart the bridge server, restoring the previous settings', error);
+    Object.entries(previous).forEach(([key, value]) => {
+      if (value === undefined) {
+        store.delete(key);
+      } else {
+        store.set(key, value);
+      }
+    });
+    await startBridgeServer().catch(restartError => log.error('Failed to restart the bridge server', restartError));
+    showServerError(error, changes.wsPort ?? store.get('wsPort', WS_PORT));
+  }
+  mainWindow.reload();
+}
+
+// Ask the user before a new web app origin may drive the cubes
+pairing.on('pairingRequest', async ({ requestId, origin, name }) => {
+  const { response } = await dialog.showMessageBox({
+    type: 'question',
+    buttons: ['Allow', 'Deny'],
+    defaultId: 1,
+    cancelId: 1,
+    title: 'Cosmoid Bridge',
+    message: `Allow ${name ? `"${name}" (${origin})` : origin} to connect to your Cosmoid devices?`,
+    detail: 'Only allow web apps you trust. Access can be revoked from the bridge window.'
+  });
+  pairing.respond(requestId, response === 0);
+  if (mainWindow) {
+    mainWindow.webContents.send('paired-origins-changed');
+  }
+});
 
 // Create auto launcher
 const autoLauncher = new AutoLaunch({
@@ -29,6 +144,9 @@ function createWindow() {
   });
 
   mainWindow.loadFile(path.join(__dirname, '../renderer/index.html'));
+  // Entries logged while the window was hidden were not forwarded
+  mainWindow.on('show', () => mainWindow.webContents.send('reload-logs'));
+  mainWindow.on('restore', () => mainWindow.webContents.send('reload-logs'));
 
   // Initialize auto-launch checkbox state
   const autoLaunchEnabled = store.get('autoLaunch', false);
@@ -37,17 +155,94 @@ function createWindow() {
   }
 }
 
+// Log viewer: new entries go to the renderer in batches, only while the window is visible and
+// only at or above the level the viewer shows
+const LOG_FORWARD_INTERVAL = 250;
+const MAX_FORWARDED_LOG_ENTRIES = 500;
+let logViewLevel = 'info';
+let pendingLogEntries = [];
+let logForwardTimer = null;
+
+function isLogViewVisible() {
+  return mainWindow && !mainWindow.isDestroyed() && mainWindow.isVisible() && !mainWindow.isMinimized();
+}
+
+function forwardLogEntry(entry) {
+  if (!isLogViewVisible() || !logger.isAtLeast(entry, logViewLevel)) return;
+  pendingLogEntries.push(entry);
+  if (pendingLogEntries.length > MAX_FORWARDED_LOG_ENTRIES) pendingLogEntries.shift();
+  if (!logForwardTimer) {
+    logForwardTimer = setTimeout(flushLogEntries, LOG_FORWARD_INTERVAL);
+  }
+}
+
+function flushLogEntries() {
+  logForwardTimer = null;
+  const entries = pendingLogEntries;
+  pendingLogEntries = [];
+  if (entries.length && isLogViewVisible()) {
+    mainWindow.webContents.send('log-entries', entries);
+  }
+}
+
 function createTray() {
   const icon = nativeImage.createFromPath(path.join(__dirname, '../../assets/icon.png'));
   tray = new Tray(icon);
-  
+  updateTrayMenu();
+  tray.setToolTip('Cosmoid Bridge');
+
+  recorder.on('stateChanged', updateTrayMenu);
+  replayer.on('stateChanged', updateTrayMenu);
+}
+
+function updateTrayMenu() {
+  const toggleRecording = () => {
+    (recorder.recording ? recorder.stop() : recorder.start())
+      .catch(error => log.error('Failed to toggle session recording', error));
+  };
+
   const contextMenu = Menu.buildFromTemplate([
     { label: 'Show App', click: () => mainWindow.show() },
+    { type: 'separator' },
+    { label: recorder.recording ? 'Stop Recording' : 'Start Recording', click: toggleRecording },
+    ...(replayer.replaying ? [{ label: 'Stop Replay', click: () => replayer.stop() }] : []),
+    { label: 'Open Sessions Folder', click: openSessionsFolder },
+    { type: 'separator' },
+    { label: 'Export Diagnostics…', click: saveDiagnostics },
+    { type: 'separator' },
     { label: 'Quit', click: () => app.quit() }
   ]);
-  
+
   tray.setContextMenu(contextMenu);
-  tray.setToolTip('Cosmoid Bridge');
+}
+
+async function openSessionsFolder() {
+  await fs.promises.mkdir(sessionsDirectory, { recursive: true });
+  const error = await shell.openPath(sessionsDirectory);
+  if (error) {
+    log.error('Could not open sessions folder', { error });
+  }
+}
+
+async function saveDiagnostics() {
+  const { canceled, filePath } = await dialog.showSaveDialog({
+    title: 'Export Diagnostics',
+    defaultPath: `cosmoid-diagnostics-${new Date().toISOString().split('T')[0]}.zip`,
+    filters: [{ name: 'Zip Archives', extensions: ['zip'] }]
+  });
+  if (canceled || !filePath) return;
+
+  try {
+    await exportDiagnostics(filePath, {
+      bleServer,
+      wsServer,
+      config: store.store,
+      about: { version: app.getVersion(), simulated: Boolean(simulateArg) }
+    });
+  } catch (error) {
+    log.error('Failed to export diagnostics', error);
+    dialog.showErrorBox('Export Diagnostics', `Could not export diagnostics: ${error.message}`);
+  }
 }
 
 // IPC handlers
@@ -62,20 +257,94 @@ app.on('ready', () => {
       }
       store.set('autoLaunch', enabled);
     } catch (error) {
-      console.error('Failed to toggle auto-launch:', error);
+      log.error('Failed to toggle auto-launch', error);
+    }
+  });
+
+  // Connection details for the renderer's own WebSocket client
+  require('electron').ipcMain.handle('get-bridge-connection', () => ({
+    url: `${wsServer.getUrl()}/?token=${pairing.localToken}`,
+    displayUrl: wsServer.getUrl()
+  }));
+
+  require('electron').ipcMain.handle('get-settings', () => ({
+    autoLaunch: store.get('autoLaunch', false),
+    secureWebSocket: store.get('secureWebSocket', false),
+    wsPort: store.get('wsPort', WS_PORT)
+  }));
+
+  require('electron').ipcMain.on('set-ws-port', async (event, port) => {
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      log.error('Failed to change port', { port, error: new Error(`Invalid port: ${port}`) });
+      return;
+    }
+    await applyServerSettings({ wsPort: port });
+  });
+
+  // Switching between ws:// and wss:// restarts the server; the renderer reloads to reconnect
+  require('electron').ipcMain.on('toggle-secure-websocket', async (event, enabled) => {
+    await applyServerSettings({ secureWebSocket: enabled });
+  });
+
+  // Save the certificate so users can add it to their OS/browser trust store
+  require('electron').ipcMain.on('export-certificate', async () => {
+    try {
+      const { certPath } = getCertificate();
+      const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+        title: 'Export Bridge Certificate',
+        defaultPath: 'cosmoid-bridge.crt',
+        filters: [{ name: 'Certificates', extensions: ['crt', 'pem'] }]
+      });
+      if (!canceled && filePath) {
+        await fs.promises.copyFile(certPath, filePath);
+      }
+    } catch (error) {
+      log.error('Failed to export certificate', error);
     }
   });
 
+  // Paired web app origins
+  require('electron').ipcMain.handle('get-paired-origins', () => pairing.getAllowedOrigins());
+
+  require('electron').ipcMain.on('revoke-origin', (event, origin) => {
+    pairing.revokeOrigin(origin);
+    event.sender.send('paired-origins-changed');
+  });
+
+  // Log viewer: the entries still in memory at the viewer's level, then batches of new ones
+  require('electron').ipcMain.handle('get-logs', (event, level) => {
+    logViewLevel = level;
+    pendingLogEntries = [];
+    return logger.getRecent({ level });
+  });
+  logger.on('entry', forwardLogEntry);
+
   // Handle window hide
   require('electron').ipcMain.on('hide-window', () => {
     mainWindow.hide();
   });
 });
 
-app.whenReady().then(() => {
+app.whenReady().then(async () => {
+  // Let the renderer trust the bridge's own self-signed certificate
+  session.defaultSession.setCertificateVerifyProc((request, callback) => {
+    const local = ['localhost', '127.0.0.1', '[::1]'].includes(request.hostname);
+    if (local && wsServer.tls && isBridgeCertificate(request.certificate.data, wsServer.tls)) {
+      callback(0);
+    } else {
+      callback(-3); // Fall back to Chromium's own verification
+    }
+  });
+
+  // Without a server the window still opens, so the user can pick another port
+  try {
+    await startBridgeServer();
+  } catch (error) {
+    log.error('Failed to start the bridge server', error);
+    showServerError(error, store.get('wsPort', WS_PORT));
+  }
   createWindow();
   createTray();
-  wsServer.start();
 });
 
 app.on('window-all-closed', () => {
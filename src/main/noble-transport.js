@@ -0,0 +1,151 @@
+// BLE transport backed by @abandonware/noble
+const { BLETransport, normalizeUUID } = require('./ble-transport');
+const { ERROR_CODES } = require('../common/constants');
+const { BridgeError } = require('../common/errors');
+
+class NobleTransport extends BLETransport {
+  constructor() {
+    super();
+    this.noble = require('@abandonware/noble');
+    this.peripherals = new Map(); // deviceId -> peripheral
+    this.characteristics = new Map(); // deviceId -> Map(uuid -> noble characteristic)
+    this.notifying = new Map(); // deviceId -> Map(uuid -> data listener)
+
+    this.noble.on('stateChange', (state) => this.emit('stateChange', state));
+    this.noble.on('scanStart', () => this.emit('scanStart'));
+    this.noble.on('scanStop', () => this.emit('scanStop'));
+    this.noble.on('discover', (peripheral) => this.handleDiscover(peripheral));
+  }
+
+  async initialize() {
+    // noble may already be powered on before anyone listened
+    if (this.noble.state === 'poweredOn') {
+      this.emit('stateChange', this.noble.state);
+    }
+  }
+
+  handleDiscover(peripheral) {
+    if (!this.peripherals.has(peripheral.id)) {
+      this.peripherals.set(peripheral.id, peripheral);
+      peripheral.on('disconnect', () => {
+        this.releaseDevice(peripheral.id);
+        this.emit('disconnect', peripheral.id);
+      });
+    }
+
+    this.emit('discover', {
+      id: peripheral.id,
+      name: peripheral.advertisement.localName,
+      rssi: peripheral.rssi,
+      advertisement: peripheral.advertisement
+    });
+  }
+
+  async startScanning({ serviceUuids = [], allowDuplicates = true } = {}) {
+    // First stop any existing scan
+    await this.noble.stopScanningAsync();
+    await this.noble.startScanningAsync(serviceUuids.map(normalizeUUID), allowDuplicates);
+  }
+
+  async stopScanning() {
+    await this.noble.stopScanningAsync();
+  }
+
+  async connect(deviceId) {
+    await this.getPeripheral(deviceId).connectAsync();
+  }
+
+  async disconnect(deviceId) {
+    await this.getPeripheral(deviceId).disconnectAsync();
+  }
+
+  isConnected(deviceId) {
+    return this.peripherals.get(deviceId)?.state === 'connected';
+  }
+
+  async discoverCharacteristics(deviceId) {
+    const peripheral = this.getPeripheral(deviceId);
+    const characteristics = new Map();
+    const result = [];
+
+    const services = await peripheral.discoverServicesAsync();
+    for (const service of services) {
+      for (const characteristic of await service.discoverCharacteristicsAsync()) {
+        const uuid = normalizeUUID(characteristic.uuid);
+        characteristics.set(uuid, characteristic);
+        result.push({
+          uuid,
+          serviceUuid: normalizeUUID(service.uuid),
+          properties: characteristic.properties
+        });
+      }
+    }
+
+    this.characteristics.set(deviceId, characteristics);
+    return result;
+  }
+
+  async read(deviceId, characteristicUuid) {
+    return this.getCharacteristic(deviceId, characteristicUuid).readAsync();
+  }
+
+  async write(deviceId, characteristicUuid, data, withoutResponse = false) {
+    await this.getCharacteristic(deviceId, characteristicUuid).writeAsync(data, withoutResponse);
+  }
+
+  async subscribe(deviceId, characteristicUuid) {
+    const uuid = normalizeUUID(characteristicUuid);
+    const characteristic = this.getCharacteristic(deviceId, uuid);
+    await characteristic.subscribeAsync();
+
+    if (!this.notifying.has(deviceId)) {
+      this.notifying.set(deviceId, new Map());
+    }
+    const listeners = this.notifying.get(deviceId);
+    if (!listeners.has(uuid)) {
+      const listener = (data) => this.emit('notification', deviceId, uuid, data);
+      characteristic.on('data', listener);
+      listeners.set(uuid, listener);
+    }
+  }
+
+  async unsubscribe(deviceId, characteristicUuid) {
+    const uuid = normalizeUUID(characteristicUuid);
+    const characteristic = this.getCharacteristic(deviceId, uuid);
+    const listeners = this.notifying.get(deviceId);
+    if (listeners?.has(uuid)) {
+      characteristic.off('data', listeners.get(uuid));
+      listeners.delete(uuid);
+    }
+    await characteristic.unsubscribeAsync();
+  }
+
+  // Drop characteristic handles and listeners once a peripheral is gone
+  releaseDevice(deviceId) {
+    const characteristics = this.characteristics.get(deviceId);
+    const listeners = this.notifying.get(deviceId);
+    if (characteristics && listeners) {
+      listeners.forEach((listener, uuid) => characteristics.get(uuid)?.off('data', listener));
+    }
+    this.characteristics.delete(deviceId);
+    this.notifying.delete(deviceId);
+  }
+
+  getPeripheral(deviceId) {
+    const peripheral = this.peripherals.get(deviceId);
+    if (!peripheral) {
+      throw new BridgeError(ERROR_CODES.DEVICE_NOT_FOUND, `Unknown device: ${deviceId}`);
+    }
+    return peripheral;
+  }
+
+  getCharacteristic(deviceId, characteristicUuid) {
+    const characteristic = this.characteristics.get(deviceId)?.get(normalizeUUID(characteristicUuid));
+    if (!characteristic) {
+      throw new BridgeError(ERROR_CODES.CHARACTERISTIC_NOT_FOUND, `Characteristic not found: ${characteristicUuid}`);
+    }
+    return characteristic;
+  }
+}
+
+module.exports = { NobleTransport };
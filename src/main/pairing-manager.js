@@ -0,0 +1,133 @@
+// Origin allow-list and pairing tokens for WebSocket clients
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { ERROR_CODES } = require('../common/constants');
+const { BridgeError } = require('../common/errors');
+
+const PAIRING_TIMEOUT = 60000;
+const MAX_TOKENS_PER_ORIGIN = 10;
+// Pairing requests allowed per origin within PAIRING_RATE_WINDOW ms
+const MAX_PAIRING_REQUESTS = 5;
+const PAIRING_RATE_WINDOW = 60000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function isLoopback(address) {
+  return address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1';
+}
+
+class PairingManager extends EventEmitter {
+  constructor(store) {
+    super();
+    this.store = store;
+    // Token for the bridge's own renderer, valid for this launch only
+    this.localToken = crypto.randomBytes(24).toString('hex');
+    this.pendingRequests = new Map(); // requestId -> { origin, name, promise, resolve, reject, timer }
+    this.nextRequestId = 1;
+    this.recentRequests = new Map(); // origin -> times of pairing requests within PAIRING_RATE_WINDOW
+  }
+
+  getAllowedOrigins() {
+    return this.store.get('allowedOrigins', []);
+  }
+
+  // Browsers always send Origin; a missing one means a local non-browser tool
+  isAuthorized({ origin, token, remoteAddress }) {
+    if (token && token === this.localToken) return true;
+    if (!origin) return isLoopback(remoteAddress);
+    if (!token || !this.getAllowedOrigins().includes(origin)) return false;
+
+    const hashes = this.store.get('pairingTokens', {})[origin] || [];
+    const candidate = Buffer.from(hashToken(token), 'hex');
+    return hashes.some(hash => crypto.timingSafeEqual(Buffer.from(hash, 'hex'), candidate));
+  }
+
+  // Resolves with a new token once the user approves the origin. Only a client that is already
+  // authorized (it presented a valid token) skips the prompt, so the Origin header alone never
+  // yields a token.
+  requestPairing(origin, name, { authorized = false } = {}) {
+    if (!origin) {
+      return Promise.reject(new BridgeError(ERROR_CODES.INVALID_MESSAGE, 'Pairing requires an Origin header'));
+    }
+    if (!this.allowRequest(origin)) {
+      return Promise.reject(new BridgeError(ERROR_CODES.RATE_LIMITED,
+        `Too many pairing requests from ${origin}; try again in a minute`));
+    }
+    if (authorized && this.getAllowedOrigins().includes(origin)) {
+      return Promise.resolve(this.issueToken(origin));
+    }
+
+    // Several tabs of the same app share one prompt
+    for (const request of this.pendingRequests.values()) {
+      if (request.origin === origin) return request.promise;
+    }
+
+    const requestId = this.nextRequestId++;
+    const request = { requestId, origin, name: name || null };
+    request.promise = new Promise((resolve, reject) => {
+      request.resolve = resolve;
+      request.reject = reject;
+    });
+    request.timer = setTimeout(() => {
+      this.pendingRequests.delete(requestId);
+      request.reject(new BridgeError(ERROR_CODES.TIMEOUT, 'Pairing request was not answered in time'));
+    }, PAIRING_TIMEOUT);
+    this.pendingRequests.set(requestId, request);
+
+    this.emit('pairingRequest', { requestId, origin, name: request.name });
+    return request.promise;
+  }
+
+  allowRequest(origin, now = Date.now()) {
+    const recent = (this.recentRequests.get(origin) || []).filter(time => now - time < PAIRING_RATE_WINDOW);
+    if (recent.length >= MAX_PAIRING_REQUESTS) {
+      this.recentRequests.set(origin, recent);
+      return false;
+    }
+    this.recentRequests.set(origin, [...recent, now]);
+    return true;
+  }
+
+  // Called from the tray/renderer once the user has answered the prompt
+  respond(requestId, approved) {
+    const request = this.pendingRequests.get(requestId);
+    if (!request) return;
+    clearTimeout(request.timer);
+    this.pendingRequests.delete(requestId);
+
+    if (approved) {
+      this.allowOrigin(request.origin);
+      request.resolve(this.issueToken(request.origin));
+    } else {
+      request.reject(new BridgeError(ERROR_CODES.PAIRING_REJECTED, `Pairing was rejected for ${request.origin}`));
+    }
+  }
+
+  allowOrigin(origin) {
+    const origins = this.getAllowedOrigins();
+    if (!origins.includes(origin)) {
+      this.store.set('allowedOrigins', [...origins, origin]);
+    }
+  }
+
+  revokeOrigin(origin) {
+    this.store.set('allowedOrigins', this.getAllowedOrigins().filter(allowed => allowed !== origin));
+    const tokens = this.store.get('pairingTokens', {});
+    delete tokens[origin];
+    this.store.set('pairingTokens', tokens);
+    this.emit('originRevoked', origin);
+  }
+
+  // Only a hash is persisted; the plain token is handed to the client once
+  issueToken(origin) {
+    const token = crypto.randomBytes(24).toString('hex');
+    const tokens = this.store.get('pairingTokens', {});
+    tokens[origin] = [...(tokens[origin] || []), hashToken(token)].slice(-MAX_TOKENS_PER_ORIGIN);
+    this.store.set('pairingTokens', tokens);
+    return token;
+  }
+}
+
+module.exports = { PairingManager };
@@ -0,0 +1,167 @@
+// Reconnects remembered cubes with exponential backoff when they come back into range
+const EventEmitter = require('events');
+const { DISCONNECT_REASONS } = require('../common/constants');
+const log = require('../common/logger').child('reconnect');
+
+const DEFAULT_OPTIONS = {
+  initialDelay: 1000,
+  maxDelay: 30000,
+  factor: 2
+};
+
+// Emits 'reconnecting' ({ deviceId, name, status, attempt, delay }) and 'reconnected' ({ deviceId, name, attempts })
+class ReconnectManager extends EventEmitter {
+  constructor(bleServer, store, options = {}) {
+    super();
+    this.bleServer = bleServer;
+    this.store = store;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.pending = new Map(); // deviceId -> { attempt, timer }
+
+    bleServer.on('deviceConnected', (device) => this.remember(device));
+    bleServer.on('deviceDiscovered', (device) => this.handleDiscovered(device));
+  }
+
+  // deviceId -> { name, serialNumber, autoReconnect, suspended, lastConnected }
+  getRememberedDevices() {
+    return this.store.get('rememberedDevices', {});
+  }
+
+  isEnabled(deviceId) {
+    return this.getRememberedDevices()[deviceId]?.autoReconnect === true;
+  }
+
+  // Enabled and not paused by an explicit disconnect
+  shouldReconnect(deviceId) {
+    const remembered = this.getRememberedDevices()[deviceId];
+    return remembered?.autoReconnect === true && !remembered.suspended;
+  }
+
+  remember(device) {
+    const remembered = this.getRememberedDevices();
+    remembered[device.id] = {
+      name: device.name,
+      serialNumber: device.serialNumber || remembered[device.id]?.serialNumber || null,
+      autoReconnect: remembered[device.id]?.autoReconnect ?? true,
+      suspended: false,
+      lastConnected: Date.now()
+    };
+    this.store.set('rememberedDevices', remembered);
+    this.cancel(device.id);
+  }
+
+  setAutoReconnect(deviceId, enabled) {
+    const remembered = this.getRememberedDevices();
+    if (!remembered[deviceId]) return false;
+    remembered[deviceId].autoReconnect = Boolean(enabled);
+    this.store.set('rememberedDevices', remembered);
+    if (!enabled) this.cancel(deviceId);
+    return true;
+  }
+
+  // Called by BLEServer after it has broadcast the disconnect
+  handleDisconnect(device, reason) {
+    // A client asked for this disconnect: stay away until someone connects it again
+    if (reason !== DISCONNECT_REASONS.CONNECTION_LOST) {
+      this.suspend(device.id);
+      return;
+    }
+    if (!this.shouldReconnect(device.id) || this.pending.has(device.id)) return;
+    this.pending.set(device.id, { attempt: 0, timer: null });
+    this.emit('reconnecting', {
+      deviceId: device.id,
+      name: device.name,
+      status: 'waitingForDevice',
+      attempt: 0,
+      delay: null
+    });
+  }
+
+  // Remembered devices are picked up again as soon as they advertise, including after a restart
+  handleDiscovered(device) {
+    if (!this.shouldReconnect(device.id) || this.bleServer.connectedDevices.has(device.id)) return;
+    if (!this.pending.has(device.id)) {
+      this.pending.set(device.id, { attempt: 0, timer: null });
+    }
+    this.schedule(device.id);
+  }
+
+  schedule(deviceId) {
+    const state = this.pending.get(deviceId);
+    if (!state || state.timer) return;
+
+    const { initialDelay, maxDelay, factor } = this.options;
+    const delay = Math.min(initialDelay * Math.pow(factor, state.attempt), maxDelay);
+    state.attempt++;
+    state.timer = setTimeout(() => this.attempt(deviceId), delay);
+
+    this.emit('reconnecting', {
+      deviceId,
+      name: this.getRememberedDevices()[deviceId]?.name,
+      status: 'scheduled',
+      attempt: state.attempt,
+      delay
+    });
+  }
+
+  async attempt(deviceId) {
+    const state = this.pending.get(deviceId);
+    if (!state) return;
+    state.timer = null;
+
+    // A client is connecting it already; its deviceConnected clears the pending entry,
+    // and if it fails the next attempt is already scheduled
+    if (this.bleServer.isConnecting(deviceId)) {
+      this.schedule(deviceId);
+      return;
+    }
+
+    let success = false;
+    try {
+      success = await this.bleServer.connectToDevice(deviceId);
+    } catch (error) {
+      log.warn('Reconnect attempt failed', { deviceId, error });
+    }
+
+    if (success) {
+      // remember() already cleared the pending entry via deviceConnected
+      this.emit('reconnected', {
+        deviceId,
+        name: this.getRememberedDevices()[deviceId]?.name,
+        attempts: state.attempt
+      });
+      return;
+    }
+
+    // Keep backing off while the device is still visible; otherwise wait for it to advertise again
+    if (this.pending.has(deviceId) && this.bleServer.discoveredDevices.has(deviceId)) {
+      this.schedule(deviceId);
+    }
+  }
+
+  suspend(deviceId) {
+    this.cancel(deviceId);
+    const remembered = this.getRememberedDevices();
+    if (remembered[deviceId]) {
+      remembered[deviceId].suspended = true;
+      this.store.set('rememberedDevices', remembered);
+    }
+  }
+
+  forget(deviceId) {
+    this.cancel(deviceId);
+    const remembered = this.getRememberedDevices();
+    delete remembered[deviceId];
+    this.store.set('rememberedDevices', remembered);
+  }
+
+  cancel(deviceId) {
+    const state = this.pending.get(deviceId);
+    if (state) {
+      clearTimeout(state.timer);
+      this.pending.delete(deviceId);
+    }
+  }
+}
+
+module.exports = { ReconnectManager };
@@ -0,0 +1,52 @@
+// Per-cube sensor calibration, keyed by serial number like DeviceMetadata
+const { ERROR_CODES } = require('../common/constants');
+const { BridgeError } = require('../common/errors');
+
+const STORE_KEY = 'sensorCalibration';
+
+// value = (raw - offset) * scale
+const IDENTITY_CALIBRATION = { offset: 0, scale: 1 };
+
+class SensorCalibration {
+  constructor(store) {
+    this.store = store;
+    // Applied to every sensor notification, so kept in memory instead of re-reading the store
+    this.calibrations = { ...store.get(STORE_KEY, {}) };
+  }
+
+  get(serialNumber) {
+    return { ...IDENTITY_CALIBRATION, ...(serialNumber ? this.calibrations[serialNumber] : null) };
+  }
+
+  // Updates only the fields present in `changes`
+  set(serialNumber, changes) {
+    if (!serialNumber || serialNumber === 'Unknown') {
+      throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, 'Calibration needs a known serial number; connect the device once first');
+    }
+
+    const calibration = this.get(serialNumber);
+    if (changes.offset !== undefined) {
+      if (!Number.isFinite(changes.offset)) {
+        throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, 'offset must be a number');
+      }
+      calibration.offset = changes.offset;
+    }
+    if (changes.scale !== undefined) {
+      if (!Number.isFinite(changes.scale) || changes.scale === 0) {
+        throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, 'scale must be a non-zero number');
+      }
+      calibration.scale = changes.scale;
+    }
+
+    this.calibrations[serialNumber] = calibration;
+    this.store.set(STORE_KEY, this.calibrations);
+    return calibration;
+  }
+
+  apply(serialNumber, raw) {
+    const { offset, scale } = this.get(serialNumber);
+    return (raw - offset) * scale;
+  }
+}
+
+module.exports = { SensorCalibration };
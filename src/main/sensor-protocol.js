@@ -0,0 +1,75 @@
+// Sensor Data and Sensor Configuration formats from TECHNICAL_SPECIFICATION.md
+const { ERROR_CODES } = require('../common/constants');
+const { BridgeError } = require('../common/errors');
+
+// Sensor Configuration sample rate byte -> Hz
+const SAMPLE_RATES = { 0x01: 1, 0x02: 10, 0x03: 50, 0x04: 100 };
+const MIN_SAMPLE_RATE = 1;
+const MAX_SAMPLE_RATE = 100;
+
+const SENSOR_CONFIG_LENGTH = 4;
+const READING_SIZE = 2;
+
+const invalid = (message) => new BridgeError(ERROR_CODES.INVALID_MESSAGE, message);
+
+// [Sensor ID (1 byte)][Reading Count (1 byte, at least 1)][Readings (uint16 LE each)].
+// Anything else is read the legacy way, as one reading in the first byte, and comes back
+// with legacy: true. Returns null for an empty packet.
+function decodeSensorData(data) {
+  if (data.length === 0) return null;
+  if (data.length < 2 || data[1] === 0 || data.length !== 2 + data[1] * READING_SIZE) {
+    return { sensorId: 0, readings: [data[0]], legacy: true };
+  }
+  const readings = [];
+  for (let offset = 2; offset < data.length; offset += READING_SIZE) {
+    readings.push(data.readUInt16LE(offset));
+  }
+  return { sensorId: data[0], readings, legacy: false };
+}
+
+// Rates between the supported steps go to the nearest one (the lower one on a tie)
+function nearestSampleRateCode(sampleRate) {
+  if (!Number.isFinite(sampleRate) || sampleRate < MIN_SAMPLE_RATE || sampleRate > MAX_SAMPLE_RATE) {
+    throw invalid(`sampleRate must be from ${MIN_SAMPLE_RATE} to ${MAX_SAMPLE_RATE} Hz`);
+  }
+  return Object.entries(SAMPLE_RATES).reduce((best, [code, rate]) =>
+    Math.abs(rate - sampleRate) < Math.abs(SAMPLE_RATES[best] - sampleRate) ? Number(code) : best,
+  0x01);
+}
+
+function configByte(value, name) {
+  if (!Number.isInteger(value) || value < 0 || value > 0xff) {
+    throw invalid(`${name} must be an integer from 0 to 255`);
+  }
+  return value;
+}
+
+// [Sample Rate (1 byte)][Resolution (1 byte)][Mode (1 byte)][Reserved (1 byte)]
+function encodeSensorConfig({ sampleRate, resolution, mode }) {
+  return Buffer.from([
+    nearestSampleRateCode(sampleRate),
+    configByte(resolution, 'resolution'),
+    configByte(mode, 'mode'),
+    0
+  ]);
+}
+
+// sampleRate is null when the device reports a rate code the spec does not list
+function decodeSensorConfig(data) {
+  if (data.length < SENSOR_CONFIG_LENGTH) {
+    throw new BridgeError(ERROR_CODES.INTERNAL_ERROR, `Sensor configuration is ${data.length} bytes; expected ${SENSOR_CONFIG_LENGTH}`);
+  }
+  return {
+    sampleRate: SAMPLE_RATES[data[0]] ?? null,
+    sampleRateCode: data[0],
+    resolution: data[1],
+    mode: data[2]
+  };
+}
+
+module.exports = {
+  SAMPLE_RATES,
+  decodeSensorData,
+  encodeSensorConfig,
+  decodeSensorConfig
+};
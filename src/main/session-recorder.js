@@ -0,0 +1,158 @@
+// Records BLEServer events and inbound WebSocket commands to JSONL session files
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { ERROR_CODES } = require('../common/constants');
+const { BridgeError } = require('../common/errors');
+const { bridgeTime } = require('../common/clock');
+const log = require('../common/logger').child('sessions');
+
+const SESSION_FORMAT_VERSION = 1;
+const SESSION_EXTENSION = '.jsonl';
+
+// Device-level events; gestures are left out because replaying buttonEvent derives them again
+const RECORDED_EVENTS = [
+  'deviceDiscovered',
+  'deviceConnected',
+  'deviceDisconnected',
+  'deviceLost',
+  'deviceReconnecting',
+  'deviceReconnected',
+  'deviceInfo',
+  'scanState',
+  'buttonEvent',
+  'characteristicChanged',
+  'sensorData'
+];
+
+// Fields never written to a session file
+const REDACTED_FIELDS = ['token'];
+
+// Session names are plain file names inside the sessions directory
+function resolveSessionFile(directory, name) {
+  if (typeof name !== 'string' || path.basename(name) !== name || !name.endsWith(SESSION_EXTENSION)) {
+    throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, `Invalid session name: ${name}`);
+  }
+  return path.join(directory, name);
+}
+
+// [{ name, size, modifiedAt }], newest first
+async function listSessions(directory) {
+  let names;
+  try {
+    names = await fs.promises.readdir(directory);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  const sessions = await Promise.all(names
+    .filter(name => name.endsWith(SESSION_EXTENSION))
+    .map(async (name) => {
+      const stats = await fs.promises.stat(path.join(directory, name));
+      return { name, size: stats.size, modifiedAt: stats.mtimeMs };
+    }));
+  return sessions.sort((a, b) => b.modifiedAt - a.modifiedAt);
+}
+
+// Line format (one JSON object per line):
+//   { type: 'session', version, startedAt, ... }               header
+//   { t, type: 'event', event, args }                           BLEServer event
+//   { t, type: 'command', clientId, origin, message }           inbound WebSocket message
+// t is ms since startedAt on the bridge clock.
+// Emits 'stateChanged' when recording starts or stops; on stop it names the finished session.
+class SessionRecorder extends EventEmitter {
+  constructor(bleServer, { directory }) {
+    super();
+    this.directory = directory;
+    this.stream = null;
+    this.current = null; // { name, startedAt, entries }
+
+    RECORDED_EVENTS.forEach(event => {
+      bleServer.on(event, (...args) => this.write({ type: 'event', event, args }));
+    });
+  }
+
+  get recording() {
+    return this.stream !== null;
+  }
+
+  async start({ label = null } = {}) {
+    if (this.recording) {
+      throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, `Already recording to ${this.current.name}`);
+    }
+    await fs.promises.mkdir(this.directory, { recursive: true });
+
+    const startedAt = bridgeTime();
+    const name = `session-${new Date(startedAt).toISOString().replace(/[:.]/g, '-')}${SESSION_EXTENSION}`;
+    this.stream = fs.createWriteStream(path.join(this.directory, name), { flags: 'wx' });
+    this.stream.on('error', (error) => {
+      log.error('Session recording failed', error);
+      this.stop().catch(() => {});
+    });
+    this.current = { name, startedAt, entries: 0 };
+    this.stream.write(JSON.stringify({ type: 'session', version: SESSION_FORMAT_VERSION, startedAt, label }) + '\n');
+
+    log.info('Recording session', { name });
+    this.emit('stateChanged', this.getState());
+    return this.getState();
+  }
+
+  // Resolves once everything is flushed to disk
+  async stop() {
+    if (!this.recording) {
+      throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, 'Not recording');
+    }
+    const stream = this.stream;
+    const state = { ...this.getState(), recording: false };
+    this.stream = null;
+    this.current = null;
+    await new Promise(resolve => stream.end(resolve));
+
+    log.info('Session recording stopped', { name: state.name, entries: state.entries });
+    this.emit('stateChanged', state);
+    return state;
+  }
+
+  // Called by WSServer for every client command it accepted; receivedAt is when it arrived
+  recordCommand(session, message, receivedAt = bridgeTime()) {
+    if (!this.recording) return;
+    const redacted = { ...message };
+    REDACTED_FIELDS.forEach(field => {
+      if (redacted[field] !== undefined) redacted[field] = '[redacted]';
+    });
+    this.write({
+      type: 'command',
+      clientId: session.clientName,
+      origin: session.origin,
+      message: redacted
+    }, receivedAt);
+  }
+
+  write(entry, at = bridgeTime()) {
+    if (!this.recording) return;
+    this.current.entries++;
+    const t = Math.max(0, at - this.current.startedAt);
+    this.stream.write(JSON.stringify({ t, ...entry }) + '\n');
+  }
+
+  getState() {
+    return {
+      recording: this.recording,
+      name: this.current?.name ?? null,
+      startedAt: this.current?.startedAt ?? null,
+      entries: this.current?.entries ?? 0
+    };
+  }
+
+  list() {
+    return listSessions(this.directory);
+  }
+}
+
+module.exports = {
+  SessionRecorder,
+  RECORDED_EVENTS,
+  SESSION_FORMAT_VERSION,
+  resolveSessionFile,
+  listSessions
+};
@@ -0,0 +1,150 @@
+// Plays a recorded session back to WebSocket clients as if the cubes were live
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { ERROR_CODES } = require('../common/constants');
+const { BridgeError } = require('../common/errors');
+const { bridgeTime } = require('../common/clock');
+const { GestureRecognizer } = require('./gesture-recognizer');
+const log = require('../common/logger').child('sessions');
+const { RECORDED_EVENTS, SESSION_FORMAT_VERSION, resolveSessionFile } = require('./session-recorder');
+
+const MAX_SPEED = 100;
+
+// Emits 'stateChanged' (getState()) when a replay starts, stops or finishes.
+// Replayed device events are emitted on `events`, with the same names and arguments as
+// BLEServer's, for WSServer to forward. They never reach BLEServer, so the bridge's own
+// devices, reconnects and animations are untouched. Recorded commands are not sent again.
+class SessionReplayer extends EventEmitter {
+  // gestures: GestureRecognizer options, normally the bridge's own
+  constructor({ directory, gestures = {} }) {
+    super();
+    this.directory = directory;
+    this.events = new EventEmitter();
+    this.current = null; // { name, speed, entries, index, startedAt, recordedStartedAt, timer }
+
+    // Gestures were not recorded; derive them again from the replayed button events
+    this.gestureRecognizer = new GestureRecognizer(this.events, gestures);
+    this.gestureRecognizer.on('gesture', (gesture) => this.events.emit('gesture', gesture));
+  }
+
+  get replaying() {
+    return this.current !== null;
+  }
+
+  // speed 1 plays in real time, 10 ten times faster
+  async start(name, { speed = 1 } = {}) {
+    if (!Number.isFinite(speed) || speed <= 0 || speed > MAX_SPEED) {
+      throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, `speed must be greater than 0 and at most ${MAX_SPEED}`);
+    }
+    const { header, entries } = await this.load(resolveSessionFile(this.directory, name));
+    if (this.replaying) {
+      this.finish('replaced');
+    }
+
+    this.current = {
+      name,
+      speed,
+      entries,
+      index: 0,
+      startedAt: bridgeTime(),
+      recordedStartedAt: header.startedAt,
+      timer: null
+    };
+    log.info('Replaying session', { name, speed, events: entries.length });
+    this.emit('stateChanged', this.getState());
+    this.scheduleNext();
+    return this.getState();
+  }
+
+  stop() {
+    if (!this.replaying) return false;
+    this.finish('stopped');
+    return true;
+  }
+
+  async load(file) {
+    let text;
+    try {
+      text = await fs.promises.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, `No such session: ${path.basename(file)}`);
+      }
+      throw error;
+    }
+
+    const lines = text.split('\n').filter(line => line.trim());
+    let header;
+    try {
+      header = JSON.parse(lines[0]);
+    } catch (error) {
+      header = null;
+    }
+    if (header?.type !== 'session' || header.version !== SESSION_FORMAT_VERSION) {
+      throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, 'Not a session file, or from an unsupported version');
+    }
+
+    // A recording cut short (e.g. by a crash) may end with a partial line; skip it
+    const entries = [];
+    for (const line of lines.slice(1)) {
+      try {
+        const entry = JSON.parse(line);
+        if (entry.type === 'event' && RECORDED_EVENTS.includes(entry.event)) {
+          entries.push(entry);
+        }
+      } catch (error) {
+        log.warn('Skipping unreadable session line', { file: path.basename(file) });
+      }
+    }
+    return { header, entries };
+  }
+
+  scheduleNext() {
+    const replay = this.current;
+    if (replay.index >= replay.entries.length) {
+      this.finish('completed');
+      return;
+    }
+    const entry = replay.entries[replay.index];
+    const due = replay.startedAt + entry.t / replay.speed;
+    replay.timer = setTimeout(() => {
+      if (this.current !== replay) return;
+      replay.index++;
+      this.events.emit(entry.event, ...this.retime(replay, entry.args));
+      this.scheduleNext();
+    }, Math.max(0, due - bridgeTime()));
+  }
+
+  // Move receivedAt onto the replay's timeline, so durations and clock sync still add up
+  retime(replay, args) {
+    const [first, ...rest] = args;
+    if (typeof first?.receivedAt !== 'number') return args;
+    const offset = (first.receivedAt - replay.recordedStartedAt) / replay.speed;
+    return [{ ...first, receivedAt: replay.startedAt + offset }, ...rest];
+  }
+
+  // reason: 'completed', 'stopped' or 'replaced'
+  finish(reason) {
+    const replay = this.current;
+    clearTimeout(replay.timer);
+    // A completed replay may still owe a click; one cut short should not
+    if (reason !== 'completed') {
+      this.gestureRecognizer.resetAll();
+    }
+    this.current = null;
+    log.info('Replay ended', { name: replay.name, reason });
+    this.emit('stateChanged', { ...this.getState(), name: replay.name, reason });
+  }
+
+  getState() {
+    return {
+      replaying: this.replaying,
+      name: this.current?.name ?? null,
+      speed: this.current?.speed ?? null,
+      progress: this.current ? this.current.index / Math.max(this.current.entries.length, 1) : null
+    };
+  }
+}
+
+module.exports = { SessionReplayer };
@@ -0,0 +1,461 @@
+// Virtual Cosmoid cubes for development and automated tests, used in place of a real BLE stack
+const { BLETransport, normalizeUUID } = require('./ble-transport');
+const {
+  BLE_SERVICE_UUID,
+  BLE_BATTERY_SERVICE_UUID,
+  BLE_DEVICE_INFO_SERVICE,
+  BLE_CHARACTERISTICS,
+  ERROR_CODES
+} = require('../common/constants');
+const { BridgeError } = require('../common/errors');
+const { isByteArray } = require('../common/byte-encoding');
+
+const UUIDS = Object.fromEntries(
+  Object.entries(BLE_CHARACTERISTICS).map(([name, uuid]) => [name, normalizeUUID(uuid)])
+);
+
+// Same layout the real cubes expose
+const CHARACTERISTICS = [
+  { uuid: UUIDS.SENSOR, serviceUuid: BLE_SERVICE_UUID, properties: ['read', 'notify'] },
+  { uuid: UUIDS.BUTTON_STATUS, serviceUuid: BLE_SERVICE_UUID, properties: ['read', 'notify'] },
+  { uuid: UUIDS.COMMAND, serviceUuid: BLE_SERVICE_UUID, properties: ['write', 'writeWithoutResponse'] },
+  { uuid: UUIDS.SENSOR_CONFIG, serviceUuid: BLE_SERVICE_UUID, properties: ['read', 'write'] },
+  { uuid: UUIDS.BATTERY_LEVEL, serviceUuid: BLE_BATTERY_SERVICE_UUID, properties: ['read', 'notify'] },
+  { uuid: UUIDS.SERIAL_NUMBER, serviceUuid: BLE_DEVICE_INFO_SERVICE, properties: ['read'] },
+  { uuid: UUIDS.FIRMWARE_VERSION, serviceUuid: BLE_DEVICE_INFO_SERVICE, properties: ['read'] },
+  { uuid: UUIDS.HARDWARE_VERSION, serviceUuid: BLE_DEVICE_INFO_SERVICE, properties: ['read'] }
+].map(characteristic => ({ ...characteristic, serviceUuid: normalizeUUID(characteristic.serviceUuid) }));
+
+// Command opcodes understood by the virtual firmware
+const OPCODE_SET_LUMINOSITY = 1;
+const OPCODE_SET_COLOR = 2;
+
+// Sensor Configuration sample rate codes the virtual firmware accepts (1, 10, 50, 100 Hz)
+const SENSOR_RATE_CODES = [1, 2, 3, 4];
+
+const ADVERTISE_INTERVAL = 1000;
+const CONNECT_DELAY = 50;
+const MAX_COMMAND_HISTORY = 100;
+// Longest press, out-of-range period or script delay the test API accepts, in ms
+const MAX_SIMULATED_DURATION = 10 * 60 * 1000;
+// The count field of a Sensor Data packet is one byte
+const MAX_SENSOR_READINGS = 255;
+
+// Test API parameters are checked before anything is sent; undefined gives `fallback`
+function integerParam(params, name, min, max, fallback) {
+  const value = params[name];
+  if (value === undefined && fallback !== undefined) return fallback;
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new BridgeError(ERROR_CODES.INVALID_PARAMS, `${name} must be an integer from ${min} to ${max}`);
+  }
+  return value;
+}
+
+function deviceIdParam(params) {
+  if (typeof params.deviceId !== 'string') {
+    throw new BridgeError(ERROR_CODES.INVALID_PARAMS, 'deviceId must be a string');
+  }
+  return params.deviceId;
+}
+
+function sensorValueParam(params) {
+  const { value } = params;
+  const valid = Array.isArray(value)
+    ? value.length > 0 && isByteArray(value)
+    : Number.isInteger(value) && value >= 0 && value <= 255;
+  if (!valid) {
+    throw new BridgeError(ERROR_CODES.INVALID_PARAMS, 'value must be a byte or a non-empty array of bytes');
+  }
+  return value;
+}
+
+function readingsParam(params) {
+  const { readings } = params;
+  if (!Array.isArray(readings) || readings.length === 0 || readings.length > MAX_SENSOR_READINGS
+      || !readings.every(reading => Number.isInteger(reading) && reading >= 0 && reading <= 0xffff)) {
+    throw new BridgeError(ERROR_CODES.INVALID_PARAMS,
+      `readings must be an array of 1 to ${MAX_SENSOR_READINGS} integers from 0 to 65535`);
+  }
+  return readings;
+}
+
+class SimulatedTransport extends BLETransport {
+  // randomEvents drives button/sensor/battery noise; tests usually turn it off and script events instead
+  constructor({ deviceCount = 2, randomEvents = true, eventInterval = 2000 } = {}) {
+    super();
+    this.randomEvents = randomEvents;
+    this.eventInterval = eventInterval;
+    this.scanning = false;
+    this.allowDuplicates = true;
+    this.timers = new Set();
+    this.advertiseTimer = null;
+    this.eventTimer = null;
+    this.cubes = new Map();
+
+    for (let index = 1; index <= deviceCount; index++) {
+      const id = `sim-cube-${index}`;
+      this.cubes.set(id, {
+        id,
+        name: `Cosmo SIM${index}`,
+        serialNumber: `SIM${String(index).padStart(4, '0')}`,
+        firmwareVersion: 'v1.0.0-sim',
+        hardwareVersion: 'SIM',
+        rssi: -40 - index * 5,
+        inRange: true,
+        connected: false,
+        notifying: new Set(),
+        state: {
+          color: null,
+          luminosity: null,
+          buttonPressed: false,
+          force: 0,
+          sensorValue: 0,
+          // [sample rate code, resolution, mode, reserved]; starts at 10 Hz
+          sensorConfig: [2, 0, 0, 0],
+          batteryLevel: 100,
+          commands: []
+        }
+      });
+    }
+  }
+
+  async initialize() {
+    this.defer(() => this.emit('stateChange', 'poweredOn'), 0);
+    if (this.randomEvents) {
+      this.eventTimer = setInterval(() => this.emitRandomEvents(), this.eventInterval);
+    }
+  }
+
+  async startScanning({ allowDuplicates = true } = {}) {
+    this.stopAdvertising();
+    this.scanning = true;
+    this.allowDuplicates = allowDuplicates;
+    this.emit('scanStart');
+    this.advertise();
+    if (allowDuplicates) {
+      this.advertiseTimer = setInterval(() => this.advertise(), ADVERTISE_INTERVAL);
+    }
+  }
+
+  async stopScanning() {
+    if (!this.scanning) return;
+    this.stopAdvertising();
+    this.scanning = false;
+    this.emit('scanStop');
+  }
+
+  stopAdvertising() {
+    clearInterval(this.advertiseTimer);
+    this.advertiseTimer = null;
+  }
+
+  advertise() {
+    this.cubes.forEach(cube => {
+      if (cube.connected || !cube.inRange) return;
+      this.emit('discover', {
+        id: cube.id,
+        name: cube.name,
+        rssi: cube.rssi + Math.round(Math.random() * 6 - 3),
+        advertisement: { localName: cube.name, serviceUuids: [normalizeUUID(BLE_SERVICE_UUID)] }
+      });
+    });
+  }
+
+  async connect(deviceId) {
+    const cube = this.getCube(deviceId);
+    if (!cube.inRange) {
+      throw new BridgeError(ERROR_CODES.DEVICE_NOT_FOUND, `Device out of range: ${deviceId}`);
+    }
+    await new Promise(resolve => this.defer(resolve, CONNECT_DELAY));
+    cube.connected = true;
+  }
+
+  async disconnect(deviceId) {
+    const cube = this.getCube(deviceId);
+    if (!cube.connected) return;
+    cube.connected = false;
+    cube.notifying.clear();
+    this.emit('disconnect', deviceId);
+  }
+
+  isConnected(deviceId) {
+    return this.getCube(deviceId).connected;
+  }
+
+  async discoverCharacteristics(deviceId) {
+    this.getConnectedCube(deviceId);
+    return CHARACTERISTICS.map(characteristic => ({
+      ...characteristic,
+      properties: [...characteristic.properties]
+    }));
+  }
+
+  async read(deviceId, characteristicUuid) {
+    const cube = this.getConnectedCube(deviceId);
+    switch (normalizeUUID(characteristicUuid)) {
+      case UUIDS.SENSOR:
+        return Buffer.from([cube.state.sensorValue]);
+      case UUIDS.BUTTON_STATUS:
+        return this.buttonPayload(cube);
+      case UUIDS.SENSOR_CONFIG:
+        return Buffer.from(cube.state.sensorConfig);
+      case UUIDS.BATTERY_LEVEL:
+        return Buffer.from([cube.state.batteryLevel]);
+      case UUIDS.SERIAL_NUMBER:
+        return Buffer.from(cube.serialNumber);
+      case UUIDS.FIRMWARE_VERSION:
+        return Buffer.from(cube.firmwareVersion);
+      case UUIDS.HARDWARE_VERSION:
+        return Buffer.from(cube.hardwareVersion);
+      default:
+        throw new BridgeError(ERROR_CODES.CHARACTERISTIC_NOT_FOUND, `Characteristic not found: ${characteristicUuid}`);
+    }
+  }
+
+  async write(deviceId, characteristicUuid, data, withoutResponse = false) {
+    const cube = this.getConnectedCube(deviceId);
+    const uuid = normalizeUUID(characteristicUuid);
+    if (uuid === UUIDS.SENSOR_CONFIG) {
+      this.writeSensorConfig(cube, Array.from(data));
+      return;
+    }
+    if (uuid !== UUIDS.COMMAND) {
+      throw new BridgeError(ERROR_CODES.WRITE_FAILED, `Characteristic is not writable: ${characteristicUuid}`);
+    }
+
+    const bytes = Array.from(data);
+    switch (bytes[0]) {
+      case OPCODE_SET_LUMINOSITY:
+        cube.state.luminosity = bytes[1];
+        break;
+      case OPCODE_SET_COLOR:
+        cube.state.color = bytes.slice(1, 4);
+        break;
+    }
+
+    cube.state.commands.push({ bytes, receivedAt: Date.now() });
+    if (cube.state.commands.length > MAX_COMMAND_HISTORY) {
+      cube.state.commands.shift();
+    }
+    this.emit('simulatedCommand', { deviceId, bytes });
+  }
+
+  // Unknown sample rate codes are ignored, like firmware that keeps its previous rate
+  writeSensorConfig(cube, bytes) {
+    if (bytes.length !== 4) {
+      throw new BridgeError(ERROR_CODES.WRITE_FAILED, 'Sensor configuration must be 4 bytes');
+    }
+    const [rateCode, resolution, mode] = bytes;
+    cube.state.sensorConfig = [
+      SENSOR_RATE_CODES.includes(rateCode) ? rateCode : cube.state.sensorConfig[0],
+      resolution,
+      mode,
+      0
+    ];
+  }
+
+  async subscribe(deviceId, characteristicUuid) {
+    const uuid = normalizeUUID(characteristicUuid);
+    if (!CHARACTERISTICS.some(characteristic => characteristic.uuid === uuid && characteristic.properties.includes('notify'))) {
+      throw new BridgeError(ERROR_CODES.CHARACTERISTIC_NOT_FOUND, `Characteristic does not notify: ${characteristicUuid}`);
+    }
+    this.getConnectedCube(deviceId).notifying.add(uuid);
+  }
+
+  async unsubscribe(deviceId, characteristicUuid) {
+    this.getConnectedCube(deviceId).notifying.delete(normalizeUUID(characteristicUuid));
+  }
+
+  // Test API
+
+  pressButton(deviceId, force = 128) {
+    const cube = this.getConnectedCube(deviceId);
+    cube.state.buttonPressed = true;
+    cube.state.force = force;
+    this.notify(cube, UUIDS.BUTTON_STATUS, this.buttonPayload(cube));
+  }
+
+  releaseButton(deviceId) {
+    const cube = this.getConnectedCube(deviceId);
+    cube.state.buttonPressed = false;
+    cube.state.force = 0;
+    this.notify(cube, UUIDS.BUTTON_STATUS, this.buttonPayload(cube));
+  }
+
+  // Press, then release after `duration` ms
+  click(deviceId, duration = 150, force = 128) {
+    this.pressButton(deviceId, force);
+    return new Promise(resolve => this.defer(() => {
+      if (this.cubes.get(deviceId)?.connected) this.releaseButton(deviceId);
+      resolve();
+    }, duration));
+  }
+
+  // A number sends one byte; an array sends raw bytes
+  setSensorValue(deviceId, value) {
+    const cube = this.getConnectedCube(deviceId);
+    const bytes = Array.isArray(value) ? value : [value];
+    cube.state.sensorValue = bytes[0];
+    this.notify(cube, UUIDS.SENSOR, Buffer.from(bytes));
+  }
+
+  // Multi-reading Sensor Data packet: [sensor ID][count][uint16 LE readings]
+  sendSensorReadings(deviceId, readings, sensorId = 1) {
+    const cube = this.getConnectedCube(deviceId);
+    const packet = Buffer.alloc(2 + readings.length * 2);
+    packet.writeUInt8(sensorId, 0);
+    packet.writeUInt8(readings.length, 1);
+    readings.forEach((reading, index) => packet.writeUInt16LE(reading, 2 + index * 2));
+    this.notify(cube, UUIDS.SENSOR, packet);
+  }
+
+  setBatteryLevel(deviceId, level) {
+    const cube = this.getConnectedCube(deviceId);
+    cube.state.batteryLevel = level;
+    this.notify(cube, UUIDS.BATTERY_LEVEL, Buffer.from([level]));
+  }
+
+  // Drop the link as if the cube went out of range; it advertises again after `outOfRangeFor` ms
+  simulateDisconnect(deviceId, outOfRangeFor = 0) {
+    const cube = this.getCube(deviceId);
+    if (outOfRangeFor > 0) {
+      cube.inRange = false;
+      this.defer(() => { cube.inRange = true; }, outOfRangeFor);
+    }
+    return this.disconnect(deviceId);
+  }
+
+  getDeviceState(deviceId) {
+    const cube = this.getCube(deviceId);
+    return {
+      id: cube.id,
+      name: cube.name,
+      serialNumber: cube.serialNumber,
+      connected: cube.connected,
+      inRange: cube.inRange,
+      ...cube.state,
+      commands: [...cube.state.commands]
+    };
+  }
+
+  getDevices() {
+    return Array.from(this.cubes.keys()).map(deviceId => this.getDeviceState(deviceId));
+  }
+
+  // Run [{ delay, action, deviceId, ...params }] in order; delay is ms after the previous step
+  async runScript(steps) {
+    for (const step of steps) {
+      const delay = integerParam(step, 'delay', 0, MAX_SIMULATED_DURATION, 0);
+      if (delay) {
+        await new Promise(resolve => this.defer(resolve, delay));
+      }
+      await this.control(step.action, step);
+    }
+  }
+
+  // Single entry point for the test API, also reachable over WebSocket.
+  // Invalid parameters fail with INVALID_PARAMS before the cube is touched.
+  async control(action, params = {}) {
+    const { deviceId } = params;
+    switch (action) {
+      case 'press':
+        this.pressButton(deviceIdParam(params), integerParam(params, 'force', 0, 255, 128));
+        break;
+      case 'release':
+        this.releaseButton(deviceIdParam(params));
+        break;
+      case 'click':
+        await this.click(
+          deviceIdParam(params),
+          integerParam(params, 'duration', 0, MAX_SIMULATED_DURATION, 150),
+          integerParam(params, 'force', 0, 255, 128)
+        );
+        break;
+      case 'sensor':
+        this.setSensorValue(deviceIdParam(params), sensorValueParam(params));
+        break;
+      case 'sensorReadings':
+        this.sendSensorReadings(
+          deviceIdParam(params),
+          readingsParam(params),
+          integerParam(params, 'sensorId', 0, 255, 1)
+        );
+        break;
+      case 'battery':
+        this.setBatteryLevel(deviceIdParam(params), integerParam(params, 'value', 0, 100));
+        break;
+      case 'disconnect':
+        await this.simulateDisconnect(
+          deviceIdParam(params),
+          integerParam(params, 'outOfRangeFor', 0, MAX_SIMULATED_DURATION, 0)
+        );
+        break;
+      case 'state':
+        if (deviceId !== undefined) deviceIdParam(params);
+        break;
+      default:
+        throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, `Unknown simulator action: ${action}`);
+    }
+    return deviceId ? this.getDeviceState(deviceId) : this.getDevices();
+  }
+
+  // Stop all timers, e.g. at the end of a test
+  shutdown() {
+    this.stopAdvertising();
+    clearInterval(this.eventTimer);
+    this.eventTimer = null;
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  emitRandomEvents() {
+    this.cubes.forEach(cube => {
+      if (!cube.connected) return;
+      const roll = Math.random();
+      if (roll < 0.3) {
+        this.click(cube.id, 100 + Math.round(Math.random() * 700), 20 + Math.round(Math.random() * 235));
+      } else if (roll < 0.8) {
+        this.setSensorValue(cube.id, Math.round(Math.random() * 255));
+      } else if (roll < 0.85 && cube.state.batteryLevel > 5) {
+        this.setBatteryLevel(cube.id, cube.state.batteryLevel - 1);
+      }
+    });
+  }
+
+  // Real cubes report 0 while the button is held
+  buttonPayload(cube) {
+    return Buffer.from([cube.state.buttonPressed ? 0 : 1, cube.state.force]);
+  }
+
+  notify(cube, uuid, data) {
+    if (cube.connected && cube.notifying.has(uuid)) {
+      this.emit('notification', cube.id, uuid, data);
+    }
+  }
+
+  defer(callback, delay) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      callback();
+    }, delay);
+    this.timers.add(timer);
+  }
+
+  getCube(deviceId) {
+    const cube = this.cubes.get(deviceId);
+    if (!cube) {
+      throw new BridgeError(ERROR_CODES.DEVICE_NOT_FOUND, `Unknown device: ${deviceId}`);
+    }
+    return cube;
+  }
+
+  getConnectedCube(deviceId) {
+    const cube = this.getCube(deviceId);
+    if (!cube.connected) {
+      throw new BridgeError(ERROR_CODES.DEVICE_NOT_FOUND, `Device not connected: ${deviceId}`);
+    }
+    return cube;
+  }
+}
+
+module.exports = { SimulatedTransport };
@@ -0,0 +1,137 @@
+// Per-client rate limiting and batching of high-rate broadcasts
+const { ERROR_CODES } = require('../common/constants');
+const { BridgeError } = require('../common/errors');
+
+// Only data streams can be throttled; device and control events always go out at once
+const STREAM_TYPES = ['characteristicChanged', 'sensorData', 'buttonEvent', 'gesture'];
+const STREAM_MODES = ['all', 'latest'];
+const MAX_BATCH_WINDOW = 10000;
+
+const invalid = (message) => new BridgeError(ERROR_CODES.INVALID_MESSAGE, message);
+
+// Returns { events: Set, deviceIds: Set|null, maxRate, batchWindow, mode } with defaults applied
+function validateStreamPolicy({ events, deviceIds, maxRate = null, batchWindow = 0, mode = 'all' }) {
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      throw invalid('events must be a non-empty array');
+    }
+    const unknown = events.filter(event => !STREAM_TYPES.includes(event));
+    if (unknown.length) {
+      throw invalid(`Only ${STREAM_TYPES.join(', ')} can be throttled, not ${unknown.join(', ')}`);
+    }
+  }
+  if (deviceIds !== undefined && (!Array.isArray(deviceIds) || !deviceIds.every(id => typeof id === 'string'))) {
+    throw invalid('deviceIds must be an array of device IDs');
+  }
+  if (maxRate !== null && (!Number.isFinite(maxRate) || maxRate <= 0)) {
+    throw invalid('maxRate must be a positive number of messages per second');
+  }
+  if (!Number.isFinite(batchWindow) || batchWindow < 0 || batchWindow > MAX_BATCH_WINDOW) {
+    throw invalid(`batchWindow must be from 0 to ${MAX_BATCH_WINDOW} ms`);
+  }
+  if (!STREAM_MODES.includes(mode)) {
+    throw invalid(`mode must be one of ${STREAM_MODES.join(', ')}`);
+  }
+  return {
+    events: new Set(events || STREAM_TYPES),
+    deviceIds: deviceIds ? new Set(deviceIds) : null,
+    maxRate,
+    batchWindow,
+    mode
+  };
+}
+
+// One stream per message type, device and characteristic (or sensor)
+function streamKeyOf(message) {
+  return [message.type, message.deviceId, message.characteristicUUID ?? message.sensorId ?? ''].join('/');
+}
+
+// Applies a policy to each stream it covers:
+// - maxRate: a message arriving sooner than 1/maxRate s after the last one released for its
+//   stream is held until the interval ends. 'latest' keeps only the newest held message;
+//   'all' releases everything held, together.
+// - batchWindow: released messages are collected and sent as one `batch` every batchWindow ms
+//   ('latest' again keeping only the newest per stream). Without it, a single released
+//   message goes out as itself and several as a `batch`.
+class StreamScheduler {
+  constructor(send) {
+    this.send = send;
+    this.streams = new Map(); // `${policyId}|${streamKey}` -> { policy, lastReleasedAt, held, timer }
+    this.batches = new Map(); // policyId -> { messages: Map(streamKey -> []), timer }
+  }
+
+  push(policy, message) {
+    const streamKey = streamKeyOf(message);
+    const key = `${policy.policyId}|${streamKey}`;
+    if (!this.streams.has(key)) {
+      this.streams.set(key, { policy, streamKey, lastReleasedAt: -Infinity, held: [], timer: null });
+    }
+    const stream = this.streams.get(key);
+    stream.held = policy.mode === 'latest' ? [message] : [...stream.held, message];
+    if (stream.timer) return;
+
+    const interval = policy.maxRate ? 1000 / policy.maxRate : 0;
+    const wait = stream.lastReleasedAt + interval - Date.now();
+    if (wait <= 0) {
+      this.release(stream);
+    } else {
+      stream.timer = setTimeout(() => this.release(stream), wait);
+    }
+  }
+
+  release(stream) {
+    stream.timer = null;
+    stream.lastReleasedAt = Date.now();
+    const messages = stream.held;
+    stream.held = [];
+    if (messages.length === 0) return;
+
+    const { policy } = stream;
+    if (!policy.batchWindow) {
+      this.send(messages.length === 1 ? messages[0] : { type: 'batch', messages });
+      return;
+    }
+
+    if (!this.batches.has(policy.policyId)) {
+      this.batches.set(policy.policyId, {
+        messages: new Map(),
+        timer: setTimeout(() => this.flushBatch(policy.policyId), policy.batchWindow)
+      });
+    }
+    const batched = this.batches.get(policy.policyId).messages;
+    const previous = policy.mode === 'latest' ? [] : batched.get(stream.streamKey) || [];
+    batched.set(stream.streamKey, [...previous, ...messages]);
+  }
+
+  flushBatch(policyId) {
+    const batch = this.batches.get(policyId);
+    if (!batch) return;
+    clearTimeout(batch.timer);
+    this.batches.delete(policyId);
+    const messages = Array.from(batch.messages.values()).flat();
+    if (messages.length > 0) {
+      this.send({ type: 'batch', messages });
+    }
+  }
+
+  // Send whatever a policy still holds, e.g. when it is removed
+  flush(policyId) {
+    for (const [key, stream] of this.streams) {
+      if (stream.policy.policyId !== policyId) continue;
+      clearTimeout(stream.timer);
+      this.release(stream);
+      this.streams.delete(key);
+    }
+    this.flushBatch(policyId);
+  }
+
+  // Drop everything without sending, e.g. when the client disconnects
+  clear() {
+    this.streams.forEach(stream => clearTimeout(stream.timer));
+    this.batches.forEach(batch => clearTimeout(batch.timer));
+    this.streams.clear();
+    this.batches.clear();
+  }
+}
+
+module.exports = { StreamScheduler, validateStreamPolicy, STREAM_TYPES };
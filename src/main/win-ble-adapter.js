@@ -1,13 +1,20 @@
-const { EventEmitter } = require('events');
 const { execSync } = require('child_process');
+const { BLETransport, normalizeUUID } = require('./ble-transport');
+const { BLE_CHARACTERISTICS, BLE_BATTERY_SERVICE_UUID, ERROR_CODES } = require('../common/constants');
+const { BridgeError } = require('../common/errors');
+const log = require('../common/logger').child('windows-ble');
 
-class WindowsBLEAdapter extends EventEmitter {
+const BATTERY_LEVEL_UUID = normalizeUUID(BLE_CHARACTERISTICS.BATTERY_LEVEL);
+
+// PowerShell-based transport; it can see paired devices and their battery level but has no GATT access
+class WindowsBLEAdapter extends BLETransport {
   constructor() {
     super();
     this.devices = new Map();
     this.state = 'unknown';
     this.scanning = false;
     this.connectionAttempts = new Map();
+    this.connectedDevices = new Set();
   }
 
   async initialize() {
@@ -27,14 +34,14 @@ class WindowsBLEAdapter extends EventEmitter {
         return false;
       }
     } catch (error) {
-      console.error('Failed to initialize Windows BLE:', error);
+      log.error('Failed to initialize Windows BLE', error);
       this.state = 'poweredOff';
       this.emit('stateChange', 'poweredOff');
       return false;
     }
   }
 
-  async startScanning() {
+  async startScanning(options = {}) {
     if (this.scanning) return;
     this.scanning = true;
 
@@ -78,7 +85,7 @@ class WindowsBLEAdapter extends EventEmitter {
 
       this.emit('scanStart');
     } catch (error) {
-      console.error('Failed to start scanning:', error);
+      log.error('Failed to start scanning', error);
       this.scanning = false;
       throw error;
     }
@@ -92,8 +99,7 @@ class WindowsBLEAdapter extends EventEmitter {
   async connect(deviceId) {
     // Prevent multiple simultaneous connection attempts
     if (this.connectionAttempts.get(deviceId)) {
-      console.log('Connection already in progress for device:', deviceId);
-      return false;
+      throw new Error(`Connection already in progress for device: ${deviceId}`);
     }
 
     try {
@@ -111,15 +117,57 @@ class WindowsBLEAdapter extends EventEmitter {
       `;
 
       const result = execSync(`powershell.exe "${command}"`).toString().trim();
-      return result.includes('Connected');
+      if (!result.includes('Connected')) {
+        throw new BridgeError(ERROR_CODES.DEVICE_NOT_FOUND, `Device not found: ${deviceId}`);
+      }
+      this.connectedDevices.add(deviceId);
     } catch (error) {
-      console.error('Failed to connect:', error);
+      log.error('Failed to connect', { deviceId, error });
       throw error;
     } finally {
       this.connectionAttempts.delete(deviceId);
     }
   }
 
+  async disconnect(deviceId) {
+    if (this.connectedDevices.delete(deviceId)) {
+      this.emit('disconnect', deviceId);
+    }
+  }
+
+  isConnected(deviceId) {
+    return this.connectedDevices.has(deviceId);
+  }
+
+  // Battery level is the only value PowerShell can reach
+  async discoverCharacteristics(deviceId) {
+    return [{
+      uuid: BATTERY_LEVEL_UUID,
+      serviceUuid: normalizeUUID(BLE_BATTERY_SERVICE_UUID),
+      properties: ['read']
+    }];
+  }
+
+  async read(deviceId, characteristicUuid) {
+    if (normalizeUUID(characteristicUuid) !== BATTERY_LEVEL_UUID) {
+      this.notSupported(`reading ${characteristicUuid}`);
+    }
+    const batteryLevel = await this.readBatteryLevel(deviceId);
+    if (batteryLevel === null) {
+      throw new Error(`Battery level unavailable for ${deviceId}`);
+    }
+    return Buffer.from([batteryLevel]);
+  }
+
+  // Battery is polled through read(); no notifications ever arrive
+  async subscribe(deviceId, characteristicUuid) {
+    if (normalizeUUID(characteristicUuid) !== BATTERY_LEVEL_UUID) {
+      this.notSupported(`notifications for ${characteristicUuid}`);
+    }
+  }
+
+  async unsubscribe(deviceId, characteristicUuid) {}
+
   // Add method to read battery level
   async readBatteryLevel(deviceId) {
     try {
@@ -144,10 +192,10 @@ class WindowsBLEAdapter extends EventEmitter {
       }
       return null;
     } catch (error) {
-      console.error('Failed to read battery level:', error);
+      log.error('Failed to read battery level', { deviceId, error });
       return null;
     }
   }
 }
 
-module.exports = WindowsBLEAdapter; 
\ No newline at end of file
+module.exports = { WindowsBLEAdapter };
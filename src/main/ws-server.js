@@ -1,19 +1,185 @@
 // WebSocket server implementation for handling client connections
+const http = require('http');
+const https = require('https');
 const WebSocket = require('ws');
+const {
+  ERROR_CODES,
+  PROTOCOL_VERSIONS,
+  WS_HOST,
+  WS_PORT,
+  WS_PORT_FALLBACK_RANGE
+} = require('../common/constants');
+const { BridgeError } = require('../common/errors');
+const { bridgeTime } = require('../common/clock');
+const { validateEncoding, encodeBytes, decodeBytes } = require('../common/byte-encoding');
+const { ClientSession, EVENT_CATEGORIES, BROADCAST_TYPES } = require('./client-session');
+const { validateStreamPolicy } = require('./stream-policy');
+const { normalizeUUID } = require('./ble-transport');
+const { SimulatedTransport } = require('./simulated-transport');
+const { version: APP_VERSION } = require('../../package.json');
+const log = require('../common/logger').child('ws');
+
+// Message types clients may send, announced in the server hello
+const CLIENT_MESSAGE_TYPES = [
+  'hello',
+  'pair',
+  'subscribe',
+  'unsubscribe',
+  'scan',
+  'startScan',
+  'stopScan',
+  'getScanState',
+  'getDevices',
+  'getDeviceState',
+  'getServices',
+  'read',
+  'connect',
+  'disconnect',
+  'forgetDevice',
+  'write',
+  'sendEvent',
+  'listCommands',
+  'queueStats',
+  'ping',
+  'setStreamPolicy',
+  'clearStreamPolicy',
+  'startRecording',
+  'stopRecording',
+  'getRecordingState',
+  'listRecordings',
+  'startReplay',
+  'stopReplay',
+  'playAnimation',
+  'stopAnimation',
+  'listGroups',
+  'setGroup',
+  'deleteGroup',
+  'setDeviceMetadata',
+  'identify',
+  'configureSensor',
+  'getSensorCalibration',
+  'setSensorCalibration',
+  'setColor',
+  'setLuminosity',
+  'updateBatteryLevels',
+  'setAutoReconnect',
+  'getRememberedDevices',
+  'simulate'
+];
+
+// Message types accepted before a client is authorized
+const PUBLIC_MESSAGE_TYPES = ['hello', 'pair'];
+
+// Close code sent to clients whose origin was revoked
+const CLOSE_ORIGIN_REVOKED = 4001;
+
+function tokenFromUrl(url) {
+  try {
+    return new URL(url, 'ws://localhost').searchParams.get('token');
+  } catch (error) {
+    return null;
+  }
+}
 
 class WSServer {
-  constructor(bleServer) {
+  constructor(bleServer, options = {}) {
     this.server = null;
-    this.clients = new Set();
+    this.httpServer = null;
+    this.clients = new Map(); // WebSocket -> ClientSession
     this.bleServer = bleServer;
+    this.host = options.host || WS_HOST;
+    // Without a pairing manager every client is trusted
+    this.pairing = options.pairing || null;
+    // { key, cert } switches the server to wss://
+    this.tls = options.tls || null;
+    // How many ports after the requested one to try when it is busy
+    this.portFallbackRange = options.portFallbackRange ?? WS_PORT_FALLBACK_RANGE;
+    // AnimationEngine behind playAnimation/stopAnimation; those messages are unsupported without one
+    this.animations = options.animations || null;
+    // DeviceGroups for groupId targets and the group messages; deviceIds arrays work without it
+    this.groups = options.groups || null;
+    // SessionRecorder/SessionReplayer behind the recording and replay messages
+    this.recorder = options.recorder || null;
+    this.replayer = options.replayer || null;
     
     // Listen to BLE events
     this.setupBLEListeners();
+
+    if (this.groups) {
+      this.groups.on('changed', (groups) => {
+        this.broadcast({
+          type: 'groupsChanged',
+          groups
+        });
+      });
+    }
+
+    if (this.recorder) {
+      this.recorder.on('stateChanged', (state) => {
+        this.broadcast({
+          type: 'recordingState',
+          ...state
+        });
+      });
+    }
+
+    if (this.replayer) {
+      this.replayer.on('stateChanged', (state) => {
+        this.broadcast({
+          type: 'replayState',
+          ...state
+        });
+      });
+    }
+
+    if (this.animations) {
+      this.animations.on('animationEnded', (info) => {
+        this.broadcast({
+          type: 'animationEnded',
+          ...info
+        });
+      });
+    }
+
+    if (this.pairing) {
+      this.pairing.on('originRevoked', (origin) => {
+        this.clients.forEach(session => {
+          if (session.origin === origin) {
+            session.ws.close(CLOSE_ORIGIN_REVOKED, 'Origin revoked');
+          }
+        });
+      });
+    }
   }
 
   setupBLEListeners() {
+    this.forwardDeviceEvents(this.bleServer);
+    if (this.replayer) {
+      this.forwardDeviceEvents(this.replayer.events);
+    }
+
+    // Coalesced, and only when something in the list changed
+    this.bleServer.on('deviceUpdated', (data) => {
+      this.broadcast({
+        type: 'deviceStateDelta',
+        revision: data.revision,
+        patch: data.patch
+      });
+
+      // Full list for legacy clients, which do not apply the diff, unless only signal strengths moved
+      if (data.changed) {
+        this.broadcast({
+          type: 'devicesList',
+          devices: data.devices
+        }, session => !session.negotiated);
+      }
+    });
+  }
+
+  // Broadcasts device events from BLEServer, or from a session replay, which emits the same ones
+  forwardDeviceEvents(source) {
     // Generic event handler
-    this.bleServer.on('event', (event) => {
+    source.on('event', (event) => {
       this.broadcast({
         type: 'event',
         event
@@ -21,56 +187,86 @@ class WSServer {
     });
 
     // Specific event handlers
-    this.bleServer.on('deviceDiscovered', (device) => {
+    source.on('deviceDiscovered', (device) => {
       this.broadcast({
         type: 'deviceFound',
         device
       });
     });
 
-    this.bleServer.on('deviceConnected', (device) => {
+    source.on('sensorData', (data) => {
+      this.broadcast({
+        type: 'sensorData',
+        ...data
+      });
+    });
+
+    source.on('gesture', (gesture) => {
+      this.broadcast({
+        type: 'gesture',
+        ...gesture
+      });
+    });
+
+    source.on('deviceLost', (device) => {
+      this.broadcast({
+        type: 'deviceLost',
+        device
+      });
+    });
+
+    source.on('scanState', (state) => {
+      this.broadcast({
+        type: 'scanState',
+        ...state
+      });
+    });
+
+    source.on('deviceConnected', (device) => {
       this.broadcast({
         type: 'deviceConnected',
         device
       });
     });
 
-    this.bleServer.on('deviceDisconnected', (device) => {
-      console.log('Broadcasting device disconnected:', device);
+    source.on('deviceDisconnected', (device, reason) => {
+      log.debug('Broadcasting device disconnected', { deviceId: device.id, reason });
       this.broadcast({
         type: 'deviceDisconnected',
-        device
+        device,
+        reason
       });
     });
 
-    this.bleServer.on('characteristicChanged', (data) => {
+    source.on('deviceReconnecting', (data) => {
       this.broadcast({
-        type: 'characteristicChanged',
+        type: 'deviceReconnecting',
         ...data
       });
     });
 
-    this.bleServer.on('deviceUpdated', (data) => {
-      // Send devices list update
+    source.on('deviceReconnected', (data) => {
       this.broadcast({
-        type: 'devicesList',
-        devices: data.devices
+        type: 'deviceReconnected',
+        ...data
       });
+    });
 
-      // Send device info update
-      if (data.deviceInfo) {
-        Object.entries(data.deviceInfo).forEach(([deviceId, info]) => {
-          this.broadcast({
-            type: 'deviceInfo',
-            deviceId,
-            ...info
-          });
-        });
-      }
+    source.on('characteristicChanged', (data) => {
+      this.broadcast({
+        type: 'characteristicChanged',
+        ...data
+      });
     });
 
-    this.bleServer.on('buttonEvent', (data) => {
-      // console.log('🟣 WS Server - Forwarding Button Event:', data);
+    source.on('deviceInfo', (info) => {
+      this.broadcast({
+        type: 'deviceInfo',
+        ...info
+      });
+    });
+
+    source.on('buttonEvent', (data) => {
       this.broadcast({
         type: 'buttonEvent',
         ...data
@@ -78,104 +274,395 @@ class WSServer {
     });
   }
 
-  start(port = 8080) {
-    this.server = new WebSocket.Server({ port });
+  // Resolves with the port actually bound, falling back past busy ports
+  async start(port = WS_PORT) {
+    const lastPort = port + this.portFallbackRange;
+    for (let candidate = port; candidate <= lastPort; candidate++) {
+      try {
+        this.httpServer = await this.listen(candidate);
+      } catch (error) {
+        if (error.code !== 'EADDRINUSE') throw error;
+        log.warn(`Port ${candidate} is in use, trying the next one`);
+        continue;
+      }
+
+      this.port = candidate;
+      this.server = new WebSocket.Server({ server: this.httpServer });
+      this.server.on('connection', (ws, req) => this.handleConnection(ws, req));
+      log.info('WebSocket server listening', { url: this.getUrl() });
+      return candidate;
+    }
+    throw new Error(`No free port between ${port} and ${lastPort}`);
+  }
+
+  listen(port) {
+    const httpServer = this.tls
+      ? https.createServer({ key: this.tls.key, cert: this.tls.cert }, (req, res) => this.handleHttpRequest(req, res))
+      : http.createServer((req, res) => this.handleHttpRequest(req, res));
+
+    return new Promise((resolve, reject) => {
+      httpServer.once('error', reject);
+      httpServer.listen(port, this.host, () => {
+        httpServer.off('error', reject);
+        httpServer.on('error', error => log.error('HTTP server error', error));
+        resolve(httpServer);
+      });
+    });
+  }
+
+  handleConnection(ws, req) {
+    const session = new ClientSession(ws, {
+      origin: req.headers.origin || null,
+      remoteAddress: req.socket.remoteAddress
+    });
+    session.authorized = this.isAuthorized(session, tokenFromUrl(req.url));
+    this.clients.set(ws, session);
+    log.info('Client connected', { origin: session.origin, authorized: session.authorized });
+    this.sendServerHello(ws);
+    if (session.authorized) {
+      this.sendDeviceState(ws);
+    }
     
-    this.server.on('connection', (ws) => {
-      this.clients.add(ws);
-      
-      ws.on('message', async (message) => {
-        try {
-          const data = JSON.parse(message);
-          await this.handleMessage(ws, data);
-        } catch (error) {
-          console.error('Failed to handle message:', error);
+    ws.on('message', async (message) => {
+      const receivedAt = bridgeTime();
+      let data;
+      try {
+        data = JSON.parse(message);
+      } catch (error) {
+        this.sendError(ws, null, ERROR_CODES.INVALID_JSON, 'Message is not valid JSON');
+        return;
+      }
+
+      try {
+        await this.handleMessage(ws, data, receivedAt);
+        // Only commands that passed authorization and validation; pairing and handshakes stay out
+        if (!PUBLIC_MESSAGE_TYPES.includes(data.type)) {
+          this.recorder?.recordCommand(session, data, receivedAt);
         }
-      });
+      } catch (error) {
+        if (!(error instanceof BridgeError)) {
+          log.error('Failed to handle message', { requestType: data.type, error });
+        }
+        this.sendError(
+          ws,
+          data,
+          error.code || ERROR_CODES.INTERNAL_ERROR,
+          error.message
+        );
+      }
+    });
 
-      ws.on('close', () => {
-        this.clients.delete(ws);
-      });
+    ws.on('close', () => {
+      log.info('Client disconnected', { origin: session.origin, clientName: session.clientName });
+      this.clients.delete(ws);
+      session.close();
+      this.bleServer.releaseSubscriber(session).catch(() => {});
     });
   }
 
-  async handleMessage(ws, message) {
+  // Plain HTTP only serves the discovery endpoint
+  handleHttpRequest(req, res) {
+    let pathname;
+    try {
+      ({ pathname } = new URL(req.url, 'http://localhost'));
+    } catch (error) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end('Bad Request');
+      return;
+    }
+    if (pathname !== '/bridge-info') {
+      res.writeHead(426, { 'Content-Type': 'text/plain' });
+      res.end('Upgrade Required');
+      return;
+    }
+
+    // Any page may detect the bridge; driving devices still requires pairing
+    const headers = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Private-Network': 'true',
+      'Cache-Control': 'no-store'
+    };
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, { ...headers, 'Access-Control-Allow-Methods': 'GET' });
+      res.end();
+      return;
+    }
+    if (req.method !== 'GET') {
+      res.writeHead(405, { ...headers, Allow: 'GET' });
+      res.end();
+      return;
+    }
+
+    const devices = this.bleServer.getAllDevices();
+    res.writeHead(200, { ...headers, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      name: 'Cosmoid Bridge',
+      appVersion: APP_VERSION,
+      protocolVersions: PROTOCOL_VERSIONS,
+      url: this.getUrl(),
+      secure: Boolean(this.tls),
+      deviceCount: devices.length,
+      connectedDeviceCount: devices.filter(device => device.connected).length
+    }));
+  }
+
+  // URL local clients should use to reach this server
+  getUrl() {
+    let host = this.host === '0.0.0.0' || this.host === '::' ? 'localhost' : this.host;
+    if (host.includes(':')) host = `[${host}]`;
+    return `${this.tls ? 'wss' : 'ws'}://${host}:${this.port}`;
+  }
+
+  // receivedAt is the bridge time the raw message arrived, for ping
+  async handleMessage(ws, message, receivedAt = bridgeTime()) {
+    if (!message || typeof message !== 'object' || typeof message.type !== 'string') {
+      throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, 'Message must be an object with a string type');
+    }
+
+    const session = this.clients.get(ws);
+    if (!session.authorized && !PUBLIC_MESSAGE_TYPES.includes(message.type)) {
+      throw new BridgeError(ERROR_CODES.UNAUTHORIZED, 'Pair with the bridge or present a token first');
+    }
+
     switch(message.type) {
+      case 'hello':
+        this.handleHello(ws, message);
+        break;
+
+      case 'pair':
+        await this.handlePair(ws, message);
+        break;
+
+      case 'subscribe':
+        if (message.characteristicUUID !== undefined) {
+          await this.handleCharacteristicSubscribe(ws, message);
+        } else {
+          this.handleSubscribe(ws, message);
+        }
+        break;
+
+      case 'unsubscribe':
+        if (message.characteristicUUID !== undefined) {
+          await this.handleCharacteristicUnsubscribe(ws, message);
+          break;
+        }
+        const removed = session.removeSubscription(message.subscriptionId);
+        if (message.subscriptionId !== undefined && removed.length === 0) {
+          throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, `Unknown subscription: ${message.subscriptionId}`);
+        }
+        this.reply(ws, message, {
+          type: 'unsubscribed',
+          subscriptionIds: removed
+        });
+        break;
+
+      // Legacy: scan with the default options
       case 'scan':
-        this.bleServer.startScanning();
+        await this.bleServer.startScanning();
+        break;
+
+      case 'startScan':
+        this.reply(ws, message, {
+          type: 'scanStarted',
+          ...await this.bleServer.startScanning(message.options || {})
+        });
+        break;
+
+      case 'stopScan':
+        await this.bleServer.stopScanning();
+        this.reply(ws, message, {
+          type: 'scanStopped',
+          ...this.bleServer.getScanState()
+        });
+        break;
+
+      case 'getScanState':
+        this.reply(ws, message, {
+          type: 'scanState',
+          ...this.bleServer.getScanState()
+        });
         break;
       
+      case 'getDeviceState':
+        this.sendDeviceState(ws, message);
+        break;
+
       case 'getDevices':
-        const devices = this.bleServer.getAllDevices();
-        ws.send(JSON.stringify({
+        this.reply(ws, message, {
           type: 'devicesList',
-          devices
-        }));
+          devices: this.bleServer.getAllDevices()
+        });
         break;
       
       case 'connect':
         const success = await this.bleServer.connectToDevice(message.deviceId);
-        ws.send(JSON.stringify({
+        this.reply(ws, message, {
           type: 'connectResult',
           deviceId: message.deviceId,
           success
-        }));
+        });
         break;
       
+      case 'disconnect':
+        await this.bleServer.disconnectDevice(message.deviceId);
+        this.reply(ws, message, {
+          type: 'disconnectResult',
+          deviceId: message.deviceId,
+          success: true
+        });
+        break;
+
+      case 'forgetDevice':
+        await this.bleServer.forgetDevice(message.deviceId);
+        this.reply(ws, message, {
+          type: 'forgetResult',
+          deviceId: message.deviceId,
+          success: true
+        });
+        break;
+
+      case 'getServices':
+        this.reply(ws, message, {
+          type: 'services',
+          deviceId: message.deviceId,
+          services: this.bleServer.getServices(message.deviceId)
+        });
+        break;
+
+      case 'read': {
+        const encoding = validateEncoding(message.encoding || session.encoding);
+        const value = await this.bleServer.readCharacteristic(message.deviceId, message.characteristicUUID);
+        this.reply(ws, message, {
+          type: 'readResult',
+          deviceId: message.deviceId,
+          characteristicUUID: normalizeUUID(String(message.characteristicUUID)),
+          value: encodeBytes(value, encoding),
+          encoding
+        });
+        break;
+      }
+
       case 'write':
-        const writeSuccess = await this.bleServer.writeCharacteristic(
+        await this.bleServer.writeCharacteristic(
           message.deviceId,
           message.characteristicUUID,
-          message.value
+          // Without an encoding the value must be a byte array
+          message.encoding ? decodeBytes(message.value, validateEncoding(message.encoding)) : message.value,
+          { withResponse: message.withResponse === true }
         );
-        ws.send(JSON.stringify({
+        this.reply(ws, message, {
           type: 'writeResult',
           deviceId: message.deviceId,
-          success: writeSuccess
-        }));
+          success: true
+        });
         break;
       
       case 'sendEvent':
-        const eventSuccess = await this.bleServer.sendEventToDevice(
-          message.deviceId,
-          message.eventType,
-          message.data
-        );
-        ws.send(JSON.stringify({
-          type: 'eventResult',
-          success: eventSuccess,
-          originalEvent: message
-        }));
+        await this.runOnTargets(ws, message, 'eventResult', async (deviceId) => {
+          await this.bleServer.sendEventToDevice(
+            deviceId,
+            message.eventType,
+            message.params || message.data,
+            { withResponse: message.withResponse === true }
+          );
+          return { success: true };
+        }, { originalEvent: message });
         break;
 
-      case 'setColor':
-        if (message.deviceId && Array.isArray(message.data)) {
-          const eventSuccess = await this.bleServer.sendEventToDevice(
-            message.deviceId,
-            'setColor',
-            message.data
-          );
-          ws.send(JSON.stringify({
-            type: 'eventResult',
-            success: eventSuccess,
-            originalEvent: message
-          }));
-        }
+      // Clock sync: bridge clock minus client clock ≈ ((bridgeReceiveTime - clientTime) + (bridgeSendTime - clientReceiveTime)) / 2
+      case 'ping':
+        this.reply(ws, message, {
+          type: 'pong',
+          clientTime: message.clientTime ?? null,
+          bridgeReceiveTime: receivedAt,
+          bridgeSendTime: bridgeTime()
+        });
         break;
 
+      case 'setStreamPolicy':
+        this.handleSetStreamPolicy(ws, message);
+        break;
+
+      case 'clearStreamPolicy':
+        this.reply(ws, message, {
+          type: 'streamPolicyCleared',
+          policyIds: this.clients.get(ws).removeStreamPolicy(message.policyId)
+        });
+        break;
+
+      case 'startRecording':
+        this.reply(ws, message, {
+          type: 'recordingState',
+          ...await this.getRecorder().start({ label: message.label ?? null })
+        });
+        break;
+
+      case 'stopRecording':
+        this.reply(ws, message, {
+          type: 'recordingState',
+          ...await this.getRecorder().stop()
+        });
+        break;
+
+      case 'getRecordingState':
+        this.reply(ws, message, {
+          type: 'recordingState',
+          ...this.getRecorder().getState(),
+          replay: this.replayer ? this.replayer.getState() : null
+        });
+        break;
+
+      case 'listRecordings':
+        this.reply(ws, message, {
+          type: 'recordings',
+          sessions: await this.getRecorder().list()
+        });
+        break;
+
+      case 'startReplay':
+        this.reply(ws, message, {
+          type: 'replayState',
+          ...await this.getReplayer().start(message.name, { speed: message.speed ?? 1 })
+        });
+        break;
+
+      case 'stopReplay':
+        this.reply(ws, message, {
+          type: 'replayState',
+          stopped: this.getReplayer().stop(),
+          ...this.getReplayer().getState()
+        });
+        break;
+
+      case 'queueStats':
+        this.reply(ws, message, {
+          type: 'queueStats',
+          devices: this.bleServer.getQueueStats(message.deviceId ?? null)
+        });
+        break;
+
+      case 'listCommands':
+        this.reply(ws, message, {
+          type: 'commands',
+          commands: this.bleServer.listCommands()
+        });
+        break;
+
+      // Shorthand for sendEvent; `params` (named) may be sent instead of `data` (positional)
+      case 'setColor':
       case 'setLuminosity':
-        if (message.deviceId && Array.isArray(message.data)) {
-          const eventSuccess = await this.bleServer.sendEventToDevice(
-            message.deviceId,
-            'setLuminosity',
-            message.data
-          );
-          ws.send(JSON.stringify({
-            type: 'eventResult',
-            success: eventSuccess,
-            originalEvent: message
-          }));
+        if (!Array.isArray(message.data) && typeof message.params !== 'object') {
+          throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, `${message.type} requires a data array or params object`);
         }
+        await this.runOnTargets(ws, message, 'eventResult', async (deviceId) => {
+          await this.bleServer.sendEventToDevice(
+            deviceId,
+            message.type,
+            message.params || message.data,
+            { withResponse: message.withResponse === true }
+          );
+          return { success: true };
+        }, { originalEvent: message });
         break;
 
       case 'updateBatteryLevels':
@@ -187,27 +674,444 @@ class WSServer {
         }
         
         // Send updated devices list after battery update
-        ws.send(JSON.stringify({
+        this.reply(ws, message, {
           type: 'devicesList',
           devices: this.bleServer.getAllDevices()
+        });
+        break;
+
+      case 'setAutoReconnect':
+        this.bleServer.setAutoReconnect(message.deviceId, message.enabled !== false);
+        this.reply(ws, message, {
+          type: 'autoReconnectSet',
+          deviceId: message.deviceId,
+          enabled: message.enabled !== false
+        });
+        break;
+
+      case 'getRememberedDevices':
+        this.reply(ws, message, {
+          type: 'rememberedDevices',
+          devices: this.bleServer.getRememberedDevices()
+        });
+        break;
+
+      case 'playAnimation': {
+        const animations = this.getAnimations();
+        await this.runOnTargets(ws, message, 'animationStarted', async (deviceId) => ({
+          deviceId,
+          ...await animations.play(deviceId, message.animation)
+        }));
+        break;
+      }
+
+      case 'stopAnimation': {
+        const animations = this.getAnimations();
+        await this.runOnTargets(ws, message, 'animationStopped', async (deviceId) => ({
+          deviceId,
+          stopped: animations.stop(deviceId)
         }));
         break;
+      }
+
+      case 'setDeviceMetadata':
+        this.reply(ws, message, {
+          type: 'deviceMetadata',
+          ...this.bleServer.setDeviceMetadata(message.deviceId, {
+            alias: message.alias,
+            color: message.color,
+            tags: message.tags
+          })
+        });
+        break;
+
+      // Blink the cube (in its identity color, if it has one) so it can be found and labelled
+      case 'identify': {
+        const animations = this.getAnimations();
+        await this.runOnTargets(ws, message, 'identifyStarted', async (deviceId) => {
+          const { color } = this.bleServer.getDeviceMetadata(deviceId);
+          return {
+            deviceId,
+            ...await animations.identify(deviceId, { color: color || undefined, restoreColor: color })
+          };
+        });
+        break;
+      }
+
+      case 'configureSensor':
+        await this.runOnTargets(ws, message, 'sensorConfigured', (deviceId) =>
+          this.bleServer.configureSensor(deviceId, {
+            sampleRate: message.sampleRate,
+            resolution: message.resolution,
+            mode: message.mode
+          })
+        );
+        break;
+
+      case 'getSensorCalibration':
+        this.reply(ws, message, {
+          type: 'sensorCalibration',
+          ...this.bleServer.getSensorCalibration(message.deviceId)
+        });
+        break;
+
+      case 'setSensorCalibration':
+        this.reply(ws, message, {
+          type: 'sensorCalibration',
+          ...this.bleServer.setSensorCalibration(message.deviceId, {
+            offset: message.offset,
+            scale: message.scale
+          })
+        });
+        break;
+
+      case 'listGroups':
+        this.reply(ws, message, {
+          type: 'groups',
+          groups: this.getGroups().list()
+        });
+        break;
+
+      case 'setGroup': {
+        // Members must be cubes the bridge knows, or already in the group
+        const current = this.getGroups().list().find(group => group.id === message.groupId);
+        const unknown = (Array.isArray(message.deviceIds) ? message.deviceIds : [])
+          .filter(id => !this.bleServer.isKnownDevice(id) && !current?.deviceIds.includes(id));
+        if (unknown.length) {
+          throw new BridgeError(ERROR_CODES.DEVICE_NOT_FOUND, `Unknown device: ${unknown.join(', ')}`);
+        }
+        this.reply(ws, message, {
+          type: 'groupSet',
+          group: this.getGroups().set(message.groupId, message)
+        });
+        break;
+      }
+
+      case 'deleteGroup':
+        this.reply(ws, message, {
+          type: 'groupDeleted',
+          groupId: message.groupId,
+          deleted: this.getGroups().delete(message.groupId)
+        });
+        break;
+
+      // Drive virtual cubes from automated tests; only available with --simulate
+      case 'simulate':
+        if (!(this.bleServer.transport instanceof SimulatedTransport)) {
+          throw new BridgeError(ERROR_CODES.NOT_SUPPORTED, 'Bridge is not running with --simulate');
+        }
+        this.reply(ws, message, {
+          type: 'simulateResult',
+          action: message.action,
+          state: await this.bleServer.transport.control(message.action, message)
+        });
+        break;
+
+      default:
+        throw new BridgeError(ERROR_CODES.UNKNOWN_TYPE, `Unknown message type: ${message.type}`);
+    }
+  }
+
+  isAuthorized(session, token) {
+    if (!this.pairing) return true;
+    return this.pairing.isAuthorized({
+      origin: session.origin,
+      token,
+      remoteAddress: session.remoteAddress
+    });
+  }
+
+  // Greeting sent to every new connection; legacy clients simply ignore it
+  sendServerHello(ws) {
+    this.reply(ws, null, {
+      type: 'hello',
+      name: 'Cosmoid Bridge',
+      appVersion: APP_VERSION,
+      protocolVersion: PROTOCOL_VERSIONS[PROTOCOL_VERSIONS.length - 1],
+      protocolVersions: PROTOCOL_VERSIONS,
+      messageTypes: CLIENT_MESSAGE_TYPES,
+      commands: this.bleServer.getSupportedCommands(),
+      eventCategories: Object.keys(EVENT_CATEGORIES),
+      authenticated: this.clients.get(ws).authorized
+    });
+  }
+
+  // Snapshot that deviceStateDelta broadcasts build on; sent unasked once a client is authorized
+  sendDeviceState(ws, request = null) {
+    this.reply(ws, request, {
+      type: 'deviceState',
+      ...this.bleServer.getDeviceState()
+    });
+  }
+
+  // Client hello: pick the newest mutually supported version and record event opt-ins
+  handleHello(ws, message) {
+    const session = this.clients.get(ws);
+    const newlyAuthorized = message.token !== undefined && !session.authorized;
+    if (newlyAuthorized) {
+      if (!this.isAuthorized(session, message.token)) {
+        throw new BridgeError(ERROR_CODES.UNAUTHORIZED, 'Invalid pairing token');
+      }
+      session.authorized = true;
+    }
+
+    const requested = Array.isArray(message.protocolVersions)
+      ? message.protocolVersions
+      : [message.protocolVersion ?? PROTOCOL_VERSIONS[0]];
+    const protocolVersion = Math.max(
+      ...requested.filter(version => PROTOCOL_VERSIONS.includes(version))
+    );
+    if (!Number.isFinite(protocolVersion)) {
+      throw new BridgeError(
+        ERROR_CODES.UNSUPPORTED_PROTOCOL,
+        `No common protocol version; bridge supports ${PROTOCOL_VERSIONS.join(', ')}`
+      );
+    }
+
+    if (message.encoding !== undefined) {
+      session.encoding = validateEncoding(message.encoding);
     }
+
+    let categories = null;
+    if (message.events !== undefined) {
+      if (!Array.isArray(message.events)) {
+        throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, 'hello.events must be an array');
+      }
+      const unknown = message.events.filter(event => !EVENT_CATEGORIES[event]);
+      if (unknown.length) {
+        throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, `Unknown event categories: ${unknown.join(', ')}`);
+      }
+      categories = new Set(message.events);
+    }
+
+    session.protocolVersion = protocolVersion;
+    session.clientName = message.client || null;
+    session.categories = categories;
+
+    this.reply(ws, message, {
+      type: 'welcome',
+      protocolVersion,
+      events: categories ? Array.from(categories) : Object.keys(EVENT_CATEGORIES),
+      encoding: session.encoding,
+      authenticated: session.authorized
+    });
+    if (newlyAuthorized) {
+      this.sendDeviceState(ws);
+    }
+  }
+
+  // Ask the user to approve this client's origin and hand back a token for later connections
+  async handlePair(ws, message) {
+    const session = this.clients.get(ws);
+    if (!this.pairing) {
+      this.reply(ws, message, { type: 'paired', origin: session.origin, token: null });
+      return;
+    }
+
+    const token = await this.pairing.requestPairing(session.origin, message.name, {
+      authorized: session.authorized
+    });
+    session.authorized = true;
+    this.reply(ws, message, {
+      type: 'paired',
+      origin: session.origin,
+      token
+    });
+    this.sendDeviceState(ws);
+  }
+
+  handleSubscribe(ws, message) {
+    const { deviceIds, events } = message;
+    if (deviceIds !== undefined && !Array.isArray(deviceIds)) {
+      throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, 'subscribe.deviceIds must be an array');
+    }
+    if (events !== undefined) {
+      if (!Array.isArray(events)) {
+        throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, 'subscribe.events must be an array');
+      }
+      const unknown = events.filter(event => !BROADCAST_TYPES.includes(event));
+      if (unknown.length) {
+        throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, `Unknown event types: ${unknown.join(', ')}`);
+      }
+    }
+
+    const subscriptionId = this.clients.get(ws).addSubscription({ deviceIds, events });
+    this.reply(ws, message, {
+      type: 'subscribed',
+      subscriptionId,
+      deviceIds: deviceIds || null,
+      events: events || null
+    });
+  }
+
+  handleSetStreamPolicy(ws, message) {
+    const policy = validateStreamPolicy(message);
+    const policyId = this.clients.get(ws).addStreamPolicy(policy);
+    this.reply(ws, message, {
+      type: 'streamPolicySet',
+      policyId,
+      ...policy,
+      events: Array.from(policy.events),
+      deviceIds: policy.deviceIds ? Array.from(policy.deviceIds) : null
+    });
   }
 
-  broadcast(message) {
+  // Notifications for the characteristic are broadcast as characteristicChanged
+  async handleCharacteristicSubscribe(ws, message) {
+    const session = this.clients.get(ws);
+    const encoding = validateEncoding(message.encoding || session.encoding);
+    const uuid = await this.bleServer.subscribeCharacteristic(message.deviceId, message.characteristicUUID, session);
+    session.characteristicEncodings.set(`${message.deviceId}/${uuid}`, encoding);
+    this.reply(ws, message, {
+      type: 'characteristicSubscribed',
+      deviceId: message.deviceId,
+      characteristicUUID: uuid,
+      encoding
+    });
+  }
+
+  async handleCharacteristicUnsubscribe(ws, message) {
+    const session = this.clients.get(ws);
+    const uuid = await this.bleServer.unsubscribeCharacteristic(message.deviceId, message.characteristicUUID, session);
+    session.characteristicEncodings.delete(`${message.deviceId}/${uuid}`);
+    this.reply(ws, message, {
+      type: 'characteristicUnsubscribed',
+      deviceId: message.deviceId,
+      characteristicUUID: uuid
+    });
+  }
+
+  getGroups() {
+    if (!this.groups) {
+      throw new BridgeError(ERROR_CODES.NOT_SUPPORTED, 'Device groups are not available on this bridge');
+    }
+    return this.groups;
+  }
+
+  // Devices a command addresses through `groupId` or `deviceIds`; null for a plain `deviceId`
+  resolveTargets(message) {
+    let targets;
+    if (message.groupId !== undefined) {
+      targets = this.getGroups().get(message.groupId).deviceIds;
+    } else if (message.deviceIds !== undefined) {
+      if (!Array.isArray(message.deviceIds) || !message.deviceIds.every(id => typeof id === 'string')) {
+        throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, 'deviceIds must be an array of device IDs');
+      }
+      targets = Array.from(new Set(message.deviceIds));
+    } else {
+      return null;
+    }
+
+    if (targets.length === 0) {
+      throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, 'No devices to send to');
+    }
+    return targets;
+  }
+
+  // A plain `deviceId` replies as before, and a failure becomes an error reply.
+  // With `groupId`/`deviceIds`, `action` runs on every device at once (each through its own GATT queue)
+  // and one reply carries `success` (all succeeded) and per-device `results`.
+  async runOnTargets(ws, message, replyType, action, fields = {}) {
+    const targets = this.resolveTargets(message);
+    if (!targets) {
+      if (!message.deviceId) {
+        throw new BridgeError(ERROR_CODES.INVALID_MESSAGE, `${message.type} requires deviceId, deviceIds or groupId`);
+      }
+      this.reply(ws, message, { type: replyType, ...fields, ...await action(message.deviceId) });
+      return;
+    }
+
+    const results = await Promise.all(targets.map(async (deviceId) => {
+      try {
+        return { deviceId, success: true, ...await action(deviceId) };
+      } catch (error) {
+        return {
+          deviceId,
+          success: false,
+          error: { code: error.code || ERROR_CODES.INTERNAL_ERROR, message: error.message }
+        };
+      }
+    }));
+    this.reply(ws, message, {
+      type: replyType,
+      ...fields,
+      ...(message.groupId !== undefined ? { groupId: message.groupId } : {}),
+      success: results.every(result => result.success),
+      results
+    });
+  }
+
+  getRecorder() {
+    if (!this.recorder) {
+      throw new BridgeError(ERROR_CODES.NOT_SUPPORTED, 'Session recording is not available on this bridge');
+    }
+    return this.recorder;
+  }
+
+  getReplayer() {
+    if (!this.replayer) {
+      throw new BridgeError(ERROR_CODES.NOT_SUPPORTED, 'Session replay is not available on this bridge');
+    }
+    return this.replayer;
+  }
+
+  getAnimations() {
+    if (!this.animations) {
+      throw new BridgeError(ERROR_CODES.NOT_SUPPORTED, 'Animations are not available on this bridge');
+    }
+    return this.animations;
+  }
+
+  // Send a reply to a single client, echoing the request id if one was given
+  reply(ws, request, message) {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    if (request && request.id !== undefined) {
+      message = { ...message, id: request.id };
+    }
+    ws.send(JSON.stringify(message));
+  }
+
+  sendError(ws, request, code, message) {
+    this.reply(ws, request, {
+      type: 'error',
+      code,
+      message,
+      requestType: request && typeof request.type === 'string' ? request.type : undefined
+    });
+  }
+
+  // filter (optional) further limits which sessions get the message
+  broadcast(message, filter = null) {
     const data = JSON.stringify(message);
-    this.clients.forEach(client => {
-      if (client.readyState === WebSocket.OPEN) {
-        client.send(data);
+    this.clients.forEach(session => {
+      if (session.authorized && session.wants(message) && (!filter || filter(session))) {
+        const encoded = this.encodeForSession(session, message);
+        session.deliver(encoded || message, encoded ? null : data);
       }
     });
   }
 
+  // Re-encode characteristic values for clients that did not ask for byte arrays
+  encodeForSession(session, message) {
+    if (message.type !== 'characteristicChanged') return null;
+    const encoding = session.encodingFor(message.deviceId, message.characteristicUUID);
+    if (encoding === 'array') return null;
+    return { ...message, value: encodeBytes(message.value, encoding), encoding };
+  }
+
+  // Resolves once the port is released so the server can be started again
   stop() {
+    this.clients.forEach(session => session.ws.terminate());
+    this.clients.clear();
     if (this.server) {
       this.server.close();
+      this.server = null;
     }
+    if (!this.httpServer) return Promise.resolve();
+
+    const httpServer = this.httpServer;
+    this.httpServer = null;
+    return new Promise(resolve => httpServer.close(() => resolve()));
   }
 }
 
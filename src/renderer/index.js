@@ -1,50 +1,265 @@
 // Renderer process code
 const { ipcRenderer } = require('electron');
+const { applyPatch } = require('../common/json-patch');
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
   const autoLaunchCheckbox = document.getElementById('autoLaunch');
   const hideWindowButton = document.getElementById('hideWindow');
   const devicesList = document.getElementById('devicesList');
+  const pairedOriginsList = document.getElementById('pairedOrigins');
+  const secureWebSocketCheckbox = document.getElementById('secureWebSocket');
+  const exportCertificateButton = document.getElementById('exportCertificate');
+  const listeningOn = document.getElementById('listeningOn');
+  const wsPortInput = document.getElementById('wsPort');
+  const applyPortButton = document.getElementById('applyPort');
+  const groupsList = document.getElementById('groupsList');
+  const groupNameInput = document.getElementById('groupName');
+  const groupMembers = document.getElementById('groupMembers');
+  const saveGroupButton = document.getElementById('saveGroup');
+  const metadataEditor = document.getElementById('metadataEditor');
+  const metadataDevice = document.getElementById('metadataDevice');
+  const metadataAlias = document.getElementById('metadataAlias');
+  const metadataColor = document.getElementById('metadataColor');
+  const metadataHasColor = document.getElementById('metadataHasColor');
+  const metadataTags = document.getElementById('metadataTags');
+  const saveMetadataButton = document.getElementById('saveMetadata');
+  const logLevelSelect = document.getElementById('logLevel');
+  const logEntries = document.getElementById('logEntries');
+  let knownDevices = [];
+  // { revision, devices } mirrored from the bridge's deviceState/deviceStateDelta messages
+  let deviceState = null;
+  let groups = [];
+  let editingDeviceId = null;
+
+  // Aliases, tags and group names come from clients; never insert them as markup
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+  }
+
+  const toHex = (color) => '#' + color.map(channel => channel.toString(16).padStart(2, '0')).join('');
+  const fromHex = (hex) => [1, 3, 5].map(index => parseInt(hex.slice(index, index + 2), 16));
+
+  const settings = await ipcRenderer.invoke('get-settings');
+  autoLaunchCheckbox.checked = settings.autoLaunch;
+  secureWebSocketCheckbox.checked = settings.secureWebSocket;
+  wsPortInput.value = settings.wsPort;
 
   // Setup auto-launch checkbox
   autoLaunchCheckbox.addEventListener('change', (e) => {
     ipcRenderer.send('toggle-auto-launch', e.target.checked);
   });
 
+  // Switching to wss:// restarts the server and reloads this window
+  secureWebSocketCheckbox.addEventListener('change', (e) => {
+    ipcRenderer.send('toggle-secure-websocket', e.target.checked);
+  });
+
+  // Changing the port restarts the server and reloads this window
+  applyPortButton.addEventListener('click', () => {
+    ipcRenderer.send('set-ws-port', parseInt(wsPortInput.value, 10));
+  });
+
+  exportCertificateButton.addEventListener('click', () => {
+    ipcRenderer.send('export-certificate');
+  });
+
   // Setup hide window button
   hideWindowButton.addEventListener('click', () => {
     ipcRenderer.send('hide-window');
   });
 
+  // Show web apps that were allowed to connect, with a way to revoke them
+  async function updatePairedOrigins() {
+    const origins = await ipcRenderer.invoke('get-paired-origins');
+    pairedOriginsList.innerHTML = origins.length ? origins.map(origin => `
+      <div class="paired-origin">
+        <span class="device-info">${escapeHtml(origin)}</span>
+        <button class="button" data-origin="${escapeHtml(origin)}">Revoke</button>
+      </div>
+    `).join('') : '<p>No web apps paired yet</p>';
+  }
+
+  // Origins are whatever the client sent, so they are never put into inline handlers
+  pairedOriginsList.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-origin]');
+    if (button) {
+      ipcRenderer.send('revoke-origin', button.dataset.origin);
+    }
+  });
+
+  ipcRenderer.on('paired-origins-changed', updatePairedOrigins);
+  updatePairedOrigins();
+
+  // Bridge log, newest at the bottom; the main process only sends entries at the selected level
+  const MAX_LOG_ENTRIES = 500;
+
+  function renderLogEntry({ time, level, tag, message, ...fields }) {
+    const details = Object.keys(fields).length ? ` ${JSON.stringify(fields)}` : '';
+    return `<div class="log-entry log-${level}">${escapeHtml(`${time.slice(11, 23)} ${level.toUpperCase()} [${tag}] ${message}${details}`)}</div>`;
+  }
+
+  async function loadLogs() {
+    const entries = await ipcRenderer.invoke('get-logs', logLevelSelect.value);
+    logEntries.innerHTML = entries.slice(-MAX_LOG_ENTRIES).map(renderLogEntry).join('');
+    logEntries.scrollTop = logEntries.scrollHeight;
+  }
+
+  ipcRenderer.on('log-entries', (event, entries) => {
+    const atBottom = logEntries.scrollTop + logEntries.clientHeight >= logEntries.scrollHeight - 4;
+    logEntries.insertAdjacentHTML('beforeend', entries.map(renderLogEntry).join(''));
+    while (logEntries.childElementCount > MAX_LOG_ENTRIES) {
+      logEntries.firstElementChild.remove();
+    }
+    if (atBottom) logEntries.scrollTop = logEntries.scrollHeight;
+  });
+
+  logLevelSelect.addEventListener('change', loadLogs);
+  ipcRenderer.on('reload-logs', loadLogs);
+  loadLogs();
+
   // Handle device updates
   function updateDevicesList(devices) {
     console.log('Updating devices list:', devices);
+    knownDevices = devices;
+    updateGroupMembers();
     devicesList.innerHTML = devices.map(device => `
       <div class="device-item" data-device-id="${device.id}">
         <div class="device-info-container">
           <span class="status-indicator ${device.connected ? 'connected' : ''}">${device.connected ? '🟢' : '⚪️'}</span>
-          ${device.serialNumber ? `<span class="device-info">Serial: ${device.serialNumber}</span>` : ''}
+          ${device.color ? `<span class="color-swatch" style="background: ${toHex(device.color)}"></span>` : ''}
+          <span class="device-info"><strong>${escapeHtml(device.alias || device.name)}</strong></span>
+          ${device.serialNumber ? `<span class="device-info">Serial: ${escapeHtml(device.serialNumber)}</span>` : ''}
+          ${device.tags && device.tags.length ? `<span class="device-info">${device.tags.map(escapeHtml).join(', ')}</span>` : ''}
           ${device.batteryLevel !== null ? `<span class="device-info">Battery: ${device.batteryLevel}%</span>` : ''}
         </div>
         <div class="device-controls">
+          <button class="button" onclick="editMetadata('${device.id}')">Edit</button>
           ${!device.connected ? `
             <button class="button" onclick="connectDevice('${device.id}')">Connect</button>
           ` : `
+            <button class="button" onclick="identifyDevice('${device.id}')">Identify</button>
             <button class="button" onclick="setRandomLuminosity('${device.id}')">Random Brightness</button>
             <button class="button" onclick="setRandomColor('${device.id}')">Random Color</button>
+            <button class="button" onclick="disconnectDevice('${device.id}')">Disconnect</button>
+            <label class="device-info">
+              <input type="checkbox" ${device.autoReconnect ? 'checked' : ''}
+                onchange="setAutoReconnect('${device.id}', this.checked)"> Auto-reconnect
+            </label>
           `}
         </div>
       </div>
     `).join('');
   }
 
+  // Alias, identity color and tags are stored per serial number by the bridge
+  window.editMetadata = (deviceId) => {
+    const device = knownDevices.find(known => known.id === deviceId);
+    if (!device) return;
+    editingDeviceId = deviceId;
+    metadataDevice.textContent = `${device.name} (${device.serialNumber || deviceId})`;
+    metadataAlias.value = device.alias || '';
+    metadataHasColor.checked = Boolean(device.color);
+    metadataColor.value = device.color ? toHex(device.color) : '#ffffff';
+    metadataTags.value = (device.tags || []).join(', ');
+    metadataEditor.style.display = 'block';
+  };
+
+  saveMetadataButton.addEventListener('click', () => {
+    if (!editingDeviceId) return;
+    ws.send(JSON.stringify({
+      type: 'setDeviceMetadata',
+      deviceId: editingDeviceId,
+      alias: metadataAlias.value.trim() || null,
+      color: metadataHasColor.checked ? fromHex(metadataColor.value) : null,
+      tags: metadataTags.value.split(',').map(tag => tag.trim()).filter(Boolean)
+    }));
+    editingDeviceId = null;
+    metadataEditor.style.display = 'none';
+  });
+
+  window.identifyDevice = (deviceId) => {
+    ws.send(JSON.stringify({ type: 'identify', deviceId }));
+  };
+
+  // Groups are stored by the bridge and shared with every client
+  function updateGroupsList() {
+    groupsList.innerHTML = groups.length ? groups.map(group => `
+      <div class="group-item">
+        <span class="device-info">${escapeHtml(group.name)} (${group.deviceIds.length} devices)</span>
+        <div class="device-controls">
+          <button class="button" data-action="randomColor" data-group-id="${escapeHtml(group.id)}">Random Color</button>
+          <button class="button" data-action="edit" data-group-id="${escapeHtml(group.id)}">Edit</button>
+          <button class="button" data-action="delete" data-group-id="${escapeHtml(group.id)}">Delete</button>
+        </div>
+      </div>
+    `).join('') : '<p>No groups yet</p>';
+  }
+
+  // Checkboxes for the devices in view, keeping what is already ticked
+  function updateGroupMembers(selected = null) {
+    const checked = selected || Array.from(groupMembers.querySelectorAll('input:checked')).map(input => input.value);
+    const ids = Array.from(new Set([...knownDevices.map(device => device.id), ...checked]));
+    groupMembers.innerHTML = ids.map(id => {
+      const device = knownDevices.find(known => known.id === id);
+      return `
+        <label>
+          <input type="checkbox" value="${escapeHtml(id)}" ${checked.includes(id) ? 'checked' : ''}>
+          ${escapeHtml(device ? `${device.alias || device.name} (${device.serialNumber || id})` : id)}
+        </label>
+      `;
+    }).join('');
+  }
+
+  // Group IDs are derived from the name, so saving an existing name updates that group
+  saveGroupButton.addEventListener('click', () => {
+    const name = groupNameInput.value.trim();
+    if (!name) return;
+    ws.send(JSON.stringify({
+      type: 'setGroup',
+      groupId: name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'group',
+      name,
+      deviceIds: Array.from(groupMembers.querySelectorAll('input:checked')).map(input => input.value)
+    }));
+    groupNameInput.value = '';
+    updateGroupMembers([]);
+  });
+
+  function editGroup(groupId) {
+    const group = groups.find(candidate => candidate.id === groupId);
+    if (!group) return;
+    groupNameInput.value = group.name;
+    updateGroupMembers(group.deviceIds);
+  }
+
+  // Group IDs come from clients, so the buttons carry them as data attributes, not inline handlers
+  groupsList.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-group-id]');
+    if (!button) return;
+    const { action, groupId } = button.dataset;
+    if (action === 'edit') {
+      editGroup(groupId);
+    } else if (action === 'delete') {
+      ws.send(JSON.stringify({ type: 'deleteGroup', groupId }));
+    } else if (action === 'randomColor') {
+      ws.send(JSON.stringify({
+        type: 'setColor',
+        groupId,
+        data: [0, 1, 2].map(() => Math.floor(Math.random() * 5)) // 0-4, like setRandomColor
+      }));
+    }
+  });
+
   // Setup WebSocket connection to receive device updates
-  const ws = new WebSocket('ws://localhost:8080');
+  const { url, displayUrl } = await ipcRenderer.invoke('get-bridge-connection');
+  listeningOn.textContent = displayUrl;
+  const ws = new WebSocket(url);
   
   ws.onopen = () => {
     console.log('WebSocket connected');
-    // Request initial device list
-    ws.send(JSON.stringify({ type: 'getDevices' }));
+    // Negotiated clients follow the device state and get no full devicesList
+    ws.send(JSON.stringify({ type: 'hello', client: 'cosmoid-bridge-window', protocolVersions: [1] }));
+    // The bridge sends the device state snapshot on its own
+    ws.send(JSON.stringify({ type: 'listGroups' }));
     // Start scanning
     ws.send(JSON.stringify({ type: 'scan' }));
     // Start battery updates
@@ -58,13 +273,6 @@ document.addEventListener('DOMContentLoaded', () => {
     switch(message.type) {
       case 'deviceDisconnected':
         console.log('Device disconnected:', message.device);
-        // Remove the device from the UI
-        const deviceElement = document.querySelector(`[data-device-id="${message.device.id}"]`);
-        if (deviceElement) {
-          deviceElement.remove();
-        }
-        // Update the list after removal
-        ws.send(JSON.stringify({ type: 'getDevices' }));
         break;
 
       case 'event':
@@ -72,14 +280,28 @@ document.addEventListener('DOMContentLoaded', () => {
         handleDeviceEvent(message.event);
         break;
 
-      case 'deviceFound':
-      case 'deviceConnected':
-        // Request updated device list
-        ws.send(JSON.stringify({ type: 'getDevices' }));
+      case 'deviceState':
+        deviceState = { revision: message.revision, devices: message.devices };
+        updateDevicesList(Object.values(deviceState.devices));
+        break;
+
+      // Deltas must apply in order; after a gap, start over from a fresh snapshot
+      case 'deviceStateDelta':
+        if (!deviceState || message.revision <= deviceState.revision) break;
+        if (message.revision !== deviceState.revision + 1) {
+          deviceState = null;
+          ws.send(JSON.stringify({ type: 'getDeviceState' }));
+          break;
+        }
+        applyPatch(deviceState.devices, message.patch);
+        deviceState.revision = message.revision;
+        updateDevicesList(Object.values(deviceState.devices));
         break;
-      
-      case 'devicesList':
-        updateDevicesList(message.devices);
+
+      case 'groups':
+      case 'groupsChanged':
+        groups = message.groups;
+        updateGroupsList();
         break;
         
       case 'characteristicChanged':
@@ -94,6 +316,10 @@ document.addEventListener('DOMContentLoaded', () => {
         );
         break;
 
+      case 'error':
+        console.error(`Bridge error (${message.code}) for ${message.requestType || 'message'}:`, message.message);
+        break;
+
       case 'setColor':
         if (message.deviceId && Array.isArray(message.data)) {
           const [r, g, b] = message.data;
@@ -132,13 +358,6 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   };
 
-  // Periodically request device updates
-  setInterval(() => {
-    if (ws.readyState === WebSocket.OPEN) {
-      ws.send(JSON.stringify({ type: 'getDevices' }));
-    }
-  }, 5000);
-
   // Connect to device
   window.connectDevice = (deviceId) => {
     ws.send(JSON.stringify({
@@ -168,6 +387,21 @@ document.addEventListener('DOMContentLoaded', () => {
     }));
   }
 
+  window.disconnectDevice = (deviceId) => {
+    ws.send(JSON.stringify({
+      type: 'disconnect',
+      deviceId
+    }));
+  };
+
+  window.setAutoReconnect = (deviceId, enabled) => {
+    ws.send(JSON.stringify({
+      type: 'setAutoReconnect',
+      deviceId,
+      enabled
+    }));
+  };
+
   // Add command functions
   window.setRandomLuminosity = (deviceId) => {
     const luminosity = Math.floor(Math.random() * 60) + 5; // 5-64%
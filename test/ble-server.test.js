@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const { ERROR_CODES, BLE_CHARACTERISTICS } = require('../src/common/constants');
+const { createBLEServer, shutdownBLEServer, waitForDevice } = require('./helpers');
+
+test('concurrent connects to one device share a single attempt', async () => {
+  const { bleServer, transport } = createBLEServer();
+  try {
+    await waitForDevice(bleServer, 'sim-cube-1');
+    let connects = 0;
+    const connect = transport.connect.bind(transport);
+    transport.connect = (deviceId) => {
+      connects++;
+      return connect(deviceId);
+    };
+    const connected = [];
+    bleServer.on('deviceConnected', (device) => connected.push(device.id));
+
+    const first = bleServer.connectToDevice('sim-cube-1');
+    assert.equal(bleServer.isConnecting('sim-cube-1'), true);
+    assert.deepEqual(await Promise.all([first, bleServer.connectToDevice('sim-cube-1')]), [true, true]);
+    assert.equal(await bleServer.connectToDevice('sim-cube-1'), true);
+
+    assert.equal(connects, 1);
+    assert.deepEqual(connected, ['sim-cube-1']);
+    assert.equal(bleServer.isConnecting('sim-cube-1'), false);
+  } finally {
+    await shutdownBLEServer(bleServer);
+  }
+});
+
+test('a failed connect rejects every caller once and can be retried', async () => {
+  const { bleServer, transport } = createBLEServer();
+  try {
+    await waitForDevice(bleServer, 'sim-cube-1');
+    const discover = transport.discoverCharacteristics.bind(transport);
+    transport.discoverCharacteristics = async () => { throw new Error('GATT error'); };
+
+    const attempts = [bleServer.connectToDevice('sim-cube-1'), bleServer.connectToDevice('sim-cube-1')];
+    for (const attempt of attempts) {
+      await assert.rejects(attempt, { code: ERROR_CODES.CONNECT_FAILED });
+    }
+    assert.equal(transport.isConnected('sim-cube-1'), false);
+
+    transport.discoverCharacteristics = discover;
+    assert.equal(await bleServer.connectToDevice('sim-cube-1'), true);
+    assert.equal(transport.isConnected('sim-cube-1'), true);
+  } finally {
+    await shutdownBLEServer(bleServer);
+  }
+});
+
+test('client characteristic subscriptions survive a reconnect', async () => {
+  // Nothing subscribed by the bridge itself, so only the client keeps notifications on
+  const { bleServer, transport } = createBLEServer({ autoSubscribe: [], reconnect: { initialDelay: 10 } });
+  const client = {};
+  const changes = [];
+  bleServer.on('characteristicChanged', ({ characteristicUUID }) => changes.push(characteristicUUID));
+  try {
+    await waitForDevice(bleServer, 'sim-cube-1');
+    await bleServer.connectToDevice('sim-cube-1');
+    const uuid = await bleServer.subscribeCharacteristic('sim-cube-1', BLE_CHARACTERISTICS.BUTTON_STATUS, client);
+    transport.pressButton('sim-cube-1');
+    assert.deepEqual(changes, [uuid]);
+
+    await transport.simulateDisconnect('sim-cube-1', 20);
+    await once(bleServer, 'deviceReconnected');
+    transport.releaseButton('sim-cube-1');
+    assert.deepEqual(changes, [uuid, uuid]);
+
+    assert.equal(await bleServer.unsubscribeCharacteristic('sim-cube-1', uuid, client), uuid);
+    transport.pressButton('sim-cube-1');
+    assert.deepEqual(changes, [uuid, uuid]);
+  } finally {
+    await shutdownBLEServer(bleServer);
+  }
+});
+
+test('clients can unsubscribe while the device is disconnected', async () => {
+  const { bleServer, transport } = createBLEServer({ autoSubscribe: [] });
+  const client = {};
+  try {
+    await waitForDevice(bleServer, 'sim-cube-1');
+    await bleServer.connectToDevice('sim-cube-1');
+    const uuid = await bleServer.subscribeCharacteristic('sim-cube-1', BLE_CHARACTERISTICS.BUTTON_STATUS, client);
+    await transport.simulateDisconnect('sim-cube-1');
+
+    await bleServer.releaseSubscriber(client);
+    await assert.rejects(bleServer.unsubscribeCharacteristic('sim-cube-1', uuid, client),
+      { code: ERROR_CODES.INVALID_MESSAGE });
+    assert.equal(bleServer.characteristicSubscribers.get('sim-cube-1').size, 0);
+  } finally {
+    await shutdownBLEServer(bleServer);
+  }
+});
+
+test('writes only byte arrays to characteristics', async () => {
+  const { bleServer, transport } = createBLEServer();
+  try {
+    await waitForDevice(bleServer, 'sim-cube-1');
+    await bleServer.connectToDevice('sim-cube-1');
+
+    for (const value of [[256], [1.5], [-1], ['1'], 42, 'text', { 0: 1 }, null]) {
+      await assert.rejects(bleServer.writeCharacteristic('sim-cube-1', BLE_CHARACTERISTICS.COMMAND, value),
+        { code: ERROR_CODES.INVALID_PARAMS }, JSON.stringify(value));
+    }
+    assert.deepEqual(transport.getDeviceState('sim-cube-1').commands, []);
+
+    assert.equal(await bleServer.writeCharacteristic('sim-cube-1', BLE_CHARACTERISTICS.COMMAND, [2, 255, 0, 0, 1]), true);
+    assert.deepEqual(transport.getDeviceState('sim-cube-1').color, [255, 0, 0]);
+  } finally {
+    await shutdownBLEServer(bleServer);
+  }
+});
@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DeviceGroups } = require('../src/main/device-groups');
+const { MemoryStore } = require('../src/common/memory-store');
+const { ERROR_CODES } = require('../src/common/constants');
+
+test('accepts slug group ids and stores the members once', () => {
+  const groups = new DeviceGroups(new MemoryStore());
+
+  const group = groups.set('Team-1', { name: 'Red team', deviceIds: ['cube-a', 'cube-b', 'cube-a'] });
+
+  assert.deepEqual(group, { id: 'Team-1', name: 'Red team', deviceIds: ['cube-a', 'cube-b'] });
+  assert.deepEqual(groups.list(), [group]);
+});
+
+test('rejects group ids that are not plain slugs', () => {
+  const groups = new DeviceGroups(new MemoryStore());
+  const invalid = ['', '-team', 'red team', 'red/team', '<b>red</b>', 'a'.repeat(65), 42, undefined];
+
+  for (const groupId of invalid) {
+    assert.throws(() => groups.set(groupId, { deviceIds: [] }), { code: ERROR_CODES.INVALID_MESSAGE },
+      `groupId ${JSON.stringify(groupId)}`);
+  }
+  assert.deepEqual(groups.list(), []);
+});
+
+test('rejects members that are not device ids', () => {
+  const groups = new DeviceGroups(new MemoryStore());
+
+  assert.throws(() => groups.set('team', { deviceIds: 'cube-a' }), { code: ERROR_CODES.INVALID_MESSAGE });
+  assert.throws(() => groups.set('team', { deviceIds: ['cube-a', ''] }), { code: ERROR_CODES.INVALID_MESSAGE });
+});
+
+test('emits the group list when it changes', () => {
+  const groups = new DeviceGroups(new MemoryStore());
+  const changes = [];
+  groups.on('changed', (list) => changes.push(list.map(group => group.id)));
+
+  groups.set('team', { deviceIds: [] });
+  groups.delete('team');
+  groups.delete('team');
+
+  assert.deepEqual(changes, [['team'], []]);
+});
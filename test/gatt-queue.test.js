@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { GattQueue } = require('../src/main/gatt-queue');
+const { ERROR_CODES } = require('../src/common/constants');
+const { BridgeError } = require('../src/common/errors');
+const { delay } = require('./helpers');
+
+test('times out a hung operation once, without retrying it', async () => {
+  const queue = new GattQueue({ timeout: 20, retries: 2, retryDelay: 1 });
+  let calls = 0;
+
+  await assert.rejects(
+    queue.run('cube', 'read', () => {
+      calls++;
+      return new Promise(() => {});
+    }),
+    { code: ERROR_CODES.TIMEOUT, message: 'BLE read timed out after 20ms' }
+  );
+  assert.equal(calls, 1);
+  assert.equal(queue.getStats('cube').cube.timedOut, 1);
+  assert.equal(queue.getStats('cube').cube.retried, 0);
+});
+
+test('retries transient failures with a growing delay', async () => {
+  const queue = new GattQueue({ timeout: 100, retries: 2, retryDelay: 10 });
+  const attempts = [];
+
+  const result = await queue.run('cube', 'write', () => {
+    attempts.push(Date.now());
+    if (attempts.length < 3) throw new Error('GATT busy');
+    return 'written';
+  });
+
+  assert.equal(result, 'written');
+  assert.equal(attempts.length, 3);
+  assert.ok(attempts[2] - attempts[1] >= attempts[1] - attempts[0]);
+  const stats = queue.getStats('cube').cube;
+  assert.equal(stats.retried, 2);
+  assert.equal(stats.completed, 1);
+});
+
+test('gives up after the configured retries', async () => {
+  const queue = new GattQueue({ timeout: 100, retries: 1, retryDelay: 1 });
+  let calls = 0;
+
+  await assert.rejects(queue.run('cube', 'write', () => {
+    calls++;
+    throw new Error(`failure ${calls}`);
+  }), { message: 'failure 2' });
+  assert.equal(calls, 2);
+  assert.equal(queue.getStats('cube').cube.failed, 1);
+});
+
+test('does not retry BridgeErrors', async () => {
+  const queue = new GattQueue({ retries: 2, retryDelay: 1 });
+  let calls = 0;
+
+  await assert.rejects(queue.run('cube', 'read', () => {
+    calls++;
+    throw new BridgeError(ERROR_CODES.NOT_SUPPORTED, 'Not readable');
+  }), { code: ERROR_CODES.NOT_SUPPORTED });
+  assert.equal(calls, 1);
+});
+
+test('runs operations for one device one at a time, in order', async () => {
+  const queue = new GattQueue();
+  const log = [];
+  const operation = (name, ms) => async () => {
+    log.push(`${name} start`);
+    await delay(ms);
+    log.push(`${name} end`);
+    return name;
+  };
+
+  const results = await Promise.all([
+    queue.run('cube', 'first', operation('first', 20)),
+    queue.run('cube', 'second', operation('second', 1))
+  ]);
+
+  assert.deepEqual(results, ['first', 'second']);
+  assert.deepEqual(log, ['first start', 'first end', 'second start', 'second end']);
+});
+
+test('clear rejects waiting operations but lets the running one finish', async () => {
+  const queue = new GattQueue();
+  const running = queue.run('cube', 'first', () => delay(20).then(() => 'done'));
+  const waiting = queue.run('cube', 'second', () => 'never');
+
+  queue.clear('cube', new BridgeError(ERROR_CODES.DEVICE_NOT_FOUND, 'Device disconnected: cube'));
+
+  await assert.rejects(waiting, { code: ERROR_CODES.DEVICE_NOT_FOUND });
+  assert.equal(await running, 'done');
+});
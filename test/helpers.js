@@ -0,0 +1,122 @@
+// Shared setup for the behavior tests: a bridge on virtual cubes and a scripted WebSocket client
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const WebSocket = require('ws');
+const logger = require('../src/common/logger');
+const { MemoryStore } = require('../src/common/memory-store');
+const { BLEServer } = require('../src/main/ble-server');
+const { SimulatedTransport } = require('../src/main/simulated-transport');
+
+// Tests trigger failures on purpose; keep them out of the test output
+logger.configure({ console: false });
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// BLEServer on `deviceCount` virtual cubes without random events; options go to BLEServer
+function createBLEServer({ deviceCount = 1, ...options } = {}) {
+  const transport = new SimulatedTransport({ deviceCount, randomEvents: false });
+  const store = options.store || new MemoryStore();
+  const bleServer = new BLEServer({ ...options, transport, store });
+  return { bleServer, transport, store };
+}
+
+// Stop everything createBLEServer started, so the test process can exit
+async function shutdownBLEServer(bleServer) {
+  for (const deviceId of bleServer.reconnectManager.pending.keys()) {
+    bleServer.reconnectManager.cancel(deviceId);
+  }
+  await bleServer.stopScanning();
+  clearTimeout(bleServer.deviceUpdateTimer);
+  clearTimeout(bleServer.signalUpdateTimer);
+  bleServer.transport.shutdown();
+}
+
+// Resolves once the cube has been advertised to the BLEServer
+async function waitForDevice(bleServer, deviceId) {
+  while (!bleServer.discoveredDevices.has(deviceId)) {
+    await once(bleServer, 'deviceDiscovered');
+  }
+}
+
+function createTempDirectory() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'cosmoid-bridge-test-'));
+}
+
+// Keeps every message it receives, so tests can wait for one or check what never arrived
+class TestClient {
+  // options go to the ws client, e.g. { origin }
+  constructor(url, options = {}) {
+    this.ws = new WebSocket(url, options);
+    this.messages = [];
+    this.waiters = new Set();
+    this.ws.on('message', (raw) => {
+      const message = JSON.parse(raw);
+      this.messages.push(message);
+      for (const waiter of this.waiters) {
+        if (waiter.predicate(message)) waiter.resolve(message);
+      }
+    });
+  }
+
+  async open() {
+    if (this.ws.readyState !== WebSocket.OPEN) {
+      await once(this.ws, 'open');
+    }
+    return this;
+  }
+
+  send(message) {
+    this.ws.send(typeof message === 'string' ? message : JSON.stringify(message));
+  }
+
+  // First message received after `since` (an index into messages) that matches
+  next(predicate, { since = 0, timeout = 2000 } = {}) {
+    const received = this.messages.slice(since).find(predicate);
+    if (received) return Promise.resolve(received);
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        predicate,
+        resolve: (message) => {
+          clearTimeout(waiter.timer);
+          this.waiters.delete(waiter);
+          resolve(message);
+        },
+        timer: setTimeout(() => {
+          this.waiters.delete(waiter);
+          reject(new Error(`No matching message within ${timeout}ms`));
+        }, timeout)
+      };
+      this.waiters.add(waiter);
+    });
+  }
+
+  // Sends a message with an id and resolves with the reply that echoes it
+  request(message, options) {
+    const since = this.messages.length;
+    this.send(message);
+    return this.next(reply => reply.id === message.id, { ...options, since });
+  }
+
+  async close() {
+    if (this.ws.readyState === WebSocket.CLOSED) return;
+    const closed = once(this.ws, 'close');
+    this.ws.close();
+    await closed;
+  }
+}
+
+async function connectClient(url, options) {
+  return new TestClient(url, options).open();
+}
+
+module.exports = {
+  delay,
+  createBLEServer,
+  shutdownBLEServer,
+  waitForDevice,
+  createTempDirectory,
+  connectClient
+};
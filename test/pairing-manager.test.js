@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PairingManager } = require('../src/main/pairing-manager');
+const { MemoryStore } = require('../src/common/memory-store');
+const { ERROR_CODES } = require('../src/common/constants');
+
+const ORIGIN = 'https://games.example.com';
+
+// Answers every prompt with `approved` and counts them
+function answerPrompts(pairing, approved) {
+  const prompts = [];
+  pairing.on('pairingRequest', ({ requestId, origin }) => {
+    prompts.push(origin);
+    pairing.respond(requestId, approved);
+  });
+  return prompts;
+}
+
+test('asks again before issuing another token to an allow-listed origin', async () => {
+  const pairing = new PairingManager(new MemoryStore());
+  const prompts = answerPrompts(pairing, true);
+
+  const first = await pairing.requestPairing(ORIGIN, 'Game');
+  const second = await pairing.requestPairing(ORIGIN, 'Game');
+
+  assert.equal(prompts.length, 2);
+  assert.notEqual(first, second);
+  assert.equal(pairing.isAuthorized({ origin: ORIGIN, token: second }), true);
+});
+
+test('the Origin header alone gets no token once the user denies', async () => {
+  const pairing = new PairingManager(new MemoryStore());
+  pairing.allowOrigin(ORIGIN);
+  answerPrompts(pairing, false);
+
+  await assert.rejects(pairing.requestPairing(ORIGIN, 'Game'), { code: ERROR_CODES.PAIRING_REJECTED });
+});
+
+test('authorized clients get another token without a prompt', async () => {
+  const pairing = new PairingManager(new MemoryStore());
+  const prompts = answerPrompts(pairing, true);
+  await pairing.requestPairing(ORIGIN, 'Game');
+
+  const token = await pairing.requestPairing(ORIGIN, 'Game', { authorized: true });
+
+  assert.equal(prompts.length, 1);
+  assert.equal(pairing.isAuthorized({ origin: ORIGIN, token }), true);
+});
+
+test('rate-limits pairing requests per origin', async () => {
+  const pairing = new PairingManager(new MemoryStore());
+  answerPrompts(pairing, false);
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    await assert.rejects(pairing.requestPairing(ORIGIN), { code: ERROR_CODES.PAIRING_REJECTED });
+  }
+  await assert.rejects(pairing.requestPairing(ORIGIN), { code: ERROR_CODES.RATE_LIMITED });
+  await assert.rejects(pairing.requestPairing('https://other.example.com'), { code: ERROR_CODES.PAIRING_REJECTED });
+
+  assert.equal(pairing.allowRequest(ORIGIN, Date.now() + 60000), true);
+});
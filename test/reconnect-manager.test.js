@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const { once } = require('events');
+const { ReconnectManager } = require('../src/main/reconnect-manager');
+const { MemoryStore } = require('../src/common/memory-store');
+const { DISCONNECT_REASONS } = require('../src/common/constants');
+const { createBLEServer, shutdownBLEServer, waitForDevice } = require('./helpers');
+
+// Just enough of BLEServer for the manager: events, the device maps and the connect calls
+function createFakeBLEServer(connectResults) {
+  const bleServer = new EventEmitter();
+  bleServer.discoveredDevices = new Map([['cube', {}]]);
+  bleServer.connectedDevices = new Map();
+  bleServer.isConnecting = () => false;
+  bleServer.attempts = 0;
+  bleServer.connectToDevice = async () => {
+    const result = connectResults[bleServer.attempts++];
+    if (result instanceof Error) throw result;
+    return result;
+  };
+  return bleServer;
+}
+
+function rememberCube(store, fields = {}) {
+  store.set('rememberedDevices', {
+    cube: { name: 'Cosmo', autoReconnect: true, suspended: false, ...fields }
+  });
+}
+
+test('backs off exponentially up to maxDelay until a reconnect succeeds', async () => {
+  const bleServer = createFakeBLEServer([false, new Error('Out of range'), false, true]);
+  const store = new MemoryStore();
+  rememberCube(store);
+  const manager = new ReconnectManager(bleServer, store, { initialDelay: 10, maxDelay: 30, factor: 2 });
+  const scheduled = [];
+  manager.on('reconnecting', (info) => scheduled.push([info.attempt, info.delay]));
+
+  bleServer.emit('deviceDiscovered', { id: 'cube' });
+  const [reconnected] = await once(manager, 'reconnected');
+
+  assert.deepEqual(scheduled, [[1, 10], [2, 20], [3, 30], [4, 30]]);
+  assert.deepEqual(reconnected, { deviceId: 'cube', name: 'Cosmo', attempts: 4 });
+  assert.equal(bleServer.attempts, 4);
+  manager.cancel('cube');
+});
+
+test('waits for the next advertisement once the cube is no longer visible', async () => {
+  const bleServer = createFakeBLEServer([false]);
+  const store = new MemoryStore();
+  rememberCube(store);
+  const manager = new ReconnectManager(bleServer, store, { initialDelay: 5 });
+
+  bleServer.emit('deviceDiscovered', { id: 'cube' });
+  bleServer.discoveredDevices.clear();
+  await new Promise(resolve => setTimeout(resolve, 30));
+
+  assert.equal(bleServer.attempts, 1);
+  assert.equal(manager.pending.get('cube').timer, null);
+  manager.cancel('cube');
+});
+
+test('leaves a device alone while a client is connecting it', async () => {
+  const bleServer = createFakeBLEServer([true]);
+  let connecting = true;
+  bleServer.isConnecting = () => connecting;
+  const store = new MemoryStore();
+  rememberCube(store);
+  const manager = new ReconnectManager(bleServer, store, { initialDelay: 5, maxDelay: 5 });
+
+  bleServer.emit('deviceDiscovered', { id: 'cube' });
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.equal(bleServer.attempts, 0);
+
+  connecting = false;
+  await once(manager, 'reconnected');
+  assert.equal(bleServer.attempts, 1);
+  manager.cancel('cube');
+});
+
+test('does not reconnect after a client asked to disconnect', () => {
+  const bleServer = createFakeBLEServer([true]);
+  const store = new MemoryStore();
+  rememberCube(store);
+  const manager = new ReconnectManager(bleServer, store, { initialDelay: 5 });
+
+  manager.handleDisconnect({ id: 'cube', name: 'Cosmo' }, DISCONNECT_REASONS.CLIENT_REQUEST);
+  bleServer.emit('deviceDiscovered', { id: 'cube' });
+
+  assert.equal(store.get('rememberedDevices').cube.suspended, true);
+  assert.equal(manager.pending.size, 0);
+});
+
+test('reconnects a simulated cube that went out of range', async () => {
+  const { bleServer, transport, store } = createBLEServer({ reconnect: { initialDelay: 10 } });
+  try {
+    await waitForDevice(bleServer, 'sim-cube-1');
+    assert.equal(await bleServer.connectToDevice('sim-cube-1'), true);
+    assert.equal(store.get('rememberedDevices')['sim-cube-1'].autoReconnect, true);
+
+    const disconnected = once(bleServer, 'deviceDisconnected');
+    await transport.simulateDisconnect('sim-cube-1', 50);
+    const [device, reason] = await disconnected;
+    assert.equal(device.id, 'sim-cube-1');
+    assert.equal(reason, DISCONNECT_REASONS.CONNECTION_LOST);
+    assert.equal(bleServer.connectedDevices.has('sim-cube-1'), false);
+
+    const [reconnected] = await once(bleServer, 'deviceReconnected');
+    assert.equal(reconnected.deviceId, 'sim-cube-1');
+    assert.equal(bleServer.connectedDevices.has('sim-cube-1'), true);
+    assert.equal(transport.isConnected('sim-cube-1'), true);
+  } finally {
+    await shutdownBLEServer(bleServer);
+  }
+});
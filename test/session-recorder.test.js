@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { WSServer } = require('../src/main/ws-server');
+const { SessionRecorder } = require('../src/main/session-recorder');
+const { PairingManager } = require('../src/main/pairing-manager');
+const { MemoryStore } = require('../src/common/memory-store');
+const { ERROR_CODES } = require('../src/common/constants');
+const {
+  createBLEServer, shutdownBLEServer, waitForDevice, createTempDirectory, connectClient
+} = require('./helpers');
+
+const TEST_PORT = 18740;
+
+test('records only the commands the bridge accepted from authorized clients', async () => {
+  const directory = createTempDirectory();
+  const { bleServer } = createBLEServer();
+  const recorder = new SessionRecorder(bleServer, { directory });
+  const pairing = new PairingManager(new MemoryStore());
+  pairing.on('pairingRequest', ({ requestId }) => pairing.respond(requestId, false));
+  const wsServer = new WSServer(bleServer, { recorder, pairing });
+  const clients = [];
+  try {
+    await waitForDevice(bleServer, 'sim-cube-1');
+    await wsServer.start(TEST_PORT);
+    // No Origin from the local machine is trusted; a browser origin has to pair first
+    const local = await connectClient(wsServer.getUrl());
+    const browser = await connectClient(wsServer.getUrl(), { origin: 'https://games.example.com' });
+    clients.push(local, browser);
+
+    await recorder.start();
+    assert.equal((await browser.request({ type: 'pair', id: 1, name: 'Game' })).code, ERROR_CODES.PAIRING_REJECTED);
+    assert.equal((await browser.request({ type: 'getDevices', id: 2 })).code, ERROR_CODES.UNAUTHORIZED);
+    assert.equal((await local.request({ type: 'hello', id: 3, protocolVersions: [1], token: 'secret' })).type, 'welcome');
+    assert.equal((await local.request({ type: 'bogus', id: 4 })).code, ERROR_CODES.UNKNOWN_TYPE);
+    assert.equal((await local.request({ type: 'connect', id: 5, deviceId: 'sim-cube-1' })).success, true);
+    const { name } = await recorder.stop();
+
+    const commands = fs.readFileSync(path.join(directory, name), 'utf8').trim().split('\n')
+      .map(line => JSON.parse(line))
+      .filter(entry => entry.type === 'command');
+    assert.deepEqual(commands.map(entry => entry.message), [{ type: 'connect', id: 5, deviceId: 'sim-cube-1' }]);
+    assert.ok(commands[0].t >= 0);
+  } finally {
+    await Promise.all(clients.map(client => client.close()));
+    await wsServer.stop();
+    await shutdownBLEServer(bleServer);
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
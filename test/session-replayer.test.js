@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { once } = require('events');
+const { WSServer } = require('../src/main/ws-server');
+const { SessionRecorder } = require('../src/main/session-recorder');
+const { SessionReplayer } = require('../src/main/session-replayer');
+const { ERROR_CODES } = require('../src/common/constants');
+const {
+  createBLEServer, shutdownBLEServer, waitForDevice, createTempDirectory, connectClient
+} = require('./helpers');
+
+const TEST_PORT = 18720;
+
+// Records a connect and a click on a virtual cube; resolves with the session name
+async function recordSession(directory) {
+  const { bleServer, transport } = createBLEServer();
+  const recorder = new SessionRecorder(bleServer, { directory });
+  try {
+    await waitForDevice(bleServer, 'sim-cube-1');
+    await recorder.start({ label: 'test' });
+    await bleServer.connectToDevice('sim-cube-1');
+    const released = once(bleServer, 'buttonEvent');
+    await transport.click('sim-cube-1', 20);
+    await released;
+    return (await recorder.stop()).name;
+  } finally {
+    await shutdownBLEServer(bleServer);
+  }
+}
+
+test('replays a session to clients without touching the bridge devices', async () => {
+  const directory = createTempDirectory();
+  const { bleServer, store } = createBLEServer();
+  const replayer = new SessionReplayer({ directory, gestures: { doubleClickWindow: 20 } });
+  const wsServer = new WSServer(bleServer, { replayer });
+  let client;
+  try {
+    const name = await recordSession(directory);
+    await waitForDevice(bleServer, 'sim-cube-1');
+    await wsServer.start(TEST_PORT);
+    client = await connectClient(wsServer.getUrl());
+
+    const bridgeEvents = [];
+    ['deviceConnected', 'buttonEvent', 'gesture'].forEach(event =>
+      bleServer.on(event, () => bridgeEvents.push(event)));
+
+    const started = await client.request({ type: 'startReplay', id: 1, name, speed: 10 });
+    assert.equal(started.replaying, true);
+    const ended = await client.next(message => message.type === 'replayState' && message.reason);
+    assert.equal(ended.reason, 'completed');
+    assert.equal(ended.name, name);
+
+    // Clients see the recorded events, and gestures derived from them again
+    const connected = await client.next(message => message.type === 'deviceConnected');
+    assert.equal(connected.device.id, 'sim-cube-1');
+    await client.next(message => message.type === 'buttonEvent' && message.deviceId === 'sim-cube-1');
+    const click = await client.next(message => message.type === 'gesture' && message.gesture === 'click');
+    assert.equal(click.deviceId, 'sim-cube-1');
+
+    // The bridge itself never saw a connection
+    assert.deepEqual(bridgeEvents, []);
+    assert.equal(bleServer.connectedDevices.size, 0);
+    assert.equal(store.get('rememberedDevices'), undefined);
+    assert.equal(bleServer.getDeviceState().devices['sim-cube-1'].connected, false);
+    assert.equal(bleServer.transport.isConnected('sim-cube-1'), false);
+  } finally {
+    await client?.close();
+    await wsServer.stop();
+    await shutdownBLEServer(bleServer);
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('rejects session names outside the sessions directory', async () => {
+  const directory = createTempDirectory();
+  const replayer = new SessionReplayer({ directory });
+  try {
+    await assert.rejects(replayer.start('../session.jsonl'), { code: ERROR_CODES.INVALID_MESSAGE });
+    await assert.rejects(replayer.start('session.txt'), { code: ERROR_CODES.INVALID_MESSAGE });
+    assert.equal(replayer.replaying, false);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,211 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { once } = require('events');
+const { WSServer } = require('../src/main/ws-server');
+const { DeviceGroups } = require('../src/main/device-groups');
+const { MemoryStore } = require('../src/common/memory-store');
+const { ERROR_CODES } = require('../src/common/constants');
+const { delay, createBLEServer, shutdownBLEServer, waitForDevice, connectClient } = require('./helpers');
+
+const TEST_PORT = 18700;
+
+// A bridge on virtual cubes that have all been discovered; bleOptions go to BLEServer
+async function startBridge({ deviceCount = 2, bleOptions = {}, ...options } = {}) {
+  const { bleServer, transport } = createBLEServer({ deviceCount, ...bleOptions });
+  for (const deviceId of transport.cubes.keys()) {
+    await waitForDevice(bleServer, deviceId);
+  }
+  const wsServer = new WSServer(bleServer, options);
+  await wsServer.start(TEST_PORT);
+
+  const clients = [];
+  return {
+    bleServer,
+    transport,
+    wsServer,
+    async connect() {
+      const client = await connectClient(wsServer.getUrl());
+      clients.push(client);
+      return client;
+    },
+    async stop() {
+      await Promise.all(clients.map(client => client.close()));
+      await wsServer.stop();
+      await shutdownBLEServer(bleServer);
+    }
+  };
+}
+
+// Resolves once the bridge has answered everything the client sent before
+async function roundTrip(client) {
+  await client.request({ type: 'ping', id: `sync-${client.messages.length}` });
+}
+
+test('echoes request ids on replies and coded errors', async () => {
+  const bridge = await startBridge();
+  try {
+    const client = await bridge.connect();
+
+    const devices = await client.request({ type: 'getDevices', id: 'list-1' });
+    assert.equal(devices.type, 'devicesList');
+    assert.deepEqual(devices.devices.map(device => device.id).sort(), ['sim-cube-1', 'sim-cube-2']);
+
+    assert.equal((await client.request({ type: 'ping', id: 2, clientTime: 5 })).type, 'pong');
+
+    assert.deepEqual(await client.request({ type: 'bogus', id: 3 }), {
+      type: 'error',
+      id: 3,
+      code: ERROR_CODES.UNKNOWN_TYPE,
+      message: 'Unknown message type: bogus',
+      requestType: 'bogus'
+    });
+
+    const notFound = await client.request({ type: 'connect', id: 4, deviceId: 'sim-cube-9' });
+    assert.equal(notFound.type, 'error');
+    assert.equal(notFound.code, ERROR_CODES.DEVICE_NOT_FOUND);
+    assert.equal(notFound.requestType, 'connect');
+
+    const untyped = await client.request({ id: 5 });
+    assert.equal(untyped.code, ERROR_CODES.INVALID_MESSAGE);
+
+    // Without a DeviceGroups instance the group messages are unsupported
+    assert.equal((await client.request({ type: 'listGroups', id: 6 })).code, ERROR_CODES.NOT_SUPPORTED);
+
+    const since = client.messages.length;
+    client.send('{not json');
+    const invalid = await client.next(message => message.type === 'error', { since });
+    assert.equal(invalid.code, ERROR_CODES.INVALID_JSON);
+    assert.equal('id' in invalid, false);
+  } finally {
+    await bridge.stop();
+  }
+});
+
+test('validates group ids and members, and drives the members of a group', async () => {
+  const bridge = await startBridge({ groups: new DeviceGroups(new MemoryStore()) });
+  try {
+    const client = await bridge.connect();
+
+    const invalidId = await client.request({ type: 'setGroup', id: 1, groupId: '<img>', deviceIds: ['sim-cube-1'] });
+    assert.equal(invalidId.code, ERROR_CODES.INVALID_MESSAGE);
+
+    const unknownMember = await client.request({ type: 'setGroup', id: 2, groupId: 'team', deviceIds: ['sim-cube-9'] });
+    assert.equal(unknownMember.code, ERROR_CODES.DEVICE_NOT_FOUND);
+    assert.match(unknownMember.message, /sim-cube-9/);
+
+    const groupSet = await client.request({
+      type: 'setGroup', id: 3, groupId: 'team', name: 'Team', deviceIds: ['sim-cube-1', 'sim-cube-2']
+    });
+    assert.deepEqual(groupSet.group, { id: 'team', name: 'Team', deviceIds: ['sim-cube-1', 'sim-cube-2'] });
+
+    assert.equal((await client.request({ type: 'connect', id: 4, deviceId: 'sim-cube-1' })).success, true);
+    const result = await client.request({ type: 'setColor', id: 5, groupId: 'team', data: [255, 0, 0] });
+    assert.equal(result.type, 'eventResult');
+    assert.equal(result.groupId, 'team');
+    assert.equal(result.success, false);
+    assert.deepEqual(result.results.map(({ deviceId, success }) => [deviceId, success]),
+      [['sim-cube-1', true], ['sim-cube-2', false]]);
+    assert.equal(result.results[1].error.code, ERROR_CODES.DEVICE_NOT_FOUND);
+    assert.notEqual(bridge.transport.getDeviceState('sim-cube-1').color, null);
+
+    const unknownGroup = await client.request({ type: 'setColor', id: 6, groupId: 'nope', data: [0, 0, 0] });
+    assert.equal(unknownGroup.code, ERROR_CODES.INVALID_MESSAGE);
+  } finally {
+    await bridge.stop();
+  }
+});
+
+test('sends devicesList only to legacy clients, and only when more than the signal changed', async () => {
+  const bridge = await startBridge({
+    bleOptions: { deviceUpdateInterval: 10, signalUpdateInterval: 50 }
+  });
+  try {
+    const legacy = await bridge.connect();
+    const negotiated = await bridge.connect();
+    const welcome = await negotiated.request({ type: 'hello', id: 1, protocolVersions: [1] });
+    assert.equal(welcome.type, 'welcome');
+
+    const isDevicesList = message => message.type === 'devicesList';
+    const isConnected = deviceId => message =>
+      isDevicesList(message) && message.devices.some(device => device.id === deviceId && device.connected);
+    const touches = (path) => message =>
+      message.type === 'deviceStateDelta' && message.patch.some(op => op.path === path);
+
+    // Connecting changes a device field: a delta for everyone, the full list for the legacy client
+    let legacySince = legacy.messages.length;
+    let negotiatedSince = negotiated.messages.length;
+    await negotiated.request({ type: 'connect', id: 2, deviceId: 'sim-cube-1' });
+
+    await legacy.next(touches('/sim-cube-1/connected'), { since: legacySince });
+    await legacy.next(isConnected('sim-cube-1'), { since: legacySince });
+
+    await negotiated.next(touches('/sim-cube-1/connected'), { since: negotiatedSince });
+    await roundTrip(negotiated);
+    assert.equal(negotiated.messages.slice(negotiatedSince).some(isDevicesList), false);
+
+    // An advertisement only moves rssi and lastSeen: a delta, but no list
+    await delay(100);
+    legacySince = legacy.messages.length;
+    const cube = bridge.transport.cubes.get('sim-cube-2');
+    cube.rssi -= 20;
+    bridge.transport.advertise();
+
+    await legacy.next(touches('/sim-cube-2/rssi'), { since: legacySince });
+    await roundTrip(legacy);
+    assert.equal(legacy.messages.slice(legacySince).some(isDevicesList), false);
+  } finally {
+    await bridge.stop();
+  }
+});
+
+test('answers 400 to request URLs that do not parse', async () => {
+  const bridge = await startBridge({ deviceCount: 1 });
+  try {
+    const socket = net.connect(bridge.wsServer.port, '127.0.0.1');
+    socket.end('GET http://[ HTTP/1.1\r\nHost: localhost\r\n\r\n');
+    let response = '';
+    socket.on('data', (chunk) => { response += chunk; });
+    await once(socket, 'close');
+    assert.match(response, /^HTTP\/1\.1 400 /);
+
+    const client = await bridge.connect();
+    assert.equal((await client.request({ type: 'ping', id: 1 })).type, 'pong');
+  } finally {
+    await bridge.stop();
+  }
+});
+
+test('rejects simulator parameters of the wrong type or range', async () => {
+  const bridge = await startBridge({ deviceCount: 1 });
+  try {
+    const client = await bridge.connect();
+    assert.equal((await client.request({ type: 'connect', id: 1, deviceId: 'sim-cube-1' })).success, true);
+
+    const invalid = [
+      { action: 'press', deviceId: 'sim-cube-1', force: 300 },
+      { action: 'press', force: 10 },
+      { action: 'click', deviceId: 'sim-cube-1', duration: 'long' },
+      { action: 'sensor', deviceId: 'sim-cube-1', value: 256 },
+      { action: 'sensor', deviceId: 'sim-cube-1', value: [1, 2.5] },
+      { action: 'sensorReadings', deviceId: 'sim-cube-1', readings: 42 },
+      { action: 'sensorReadings', deviceId: 'sim-cube-1', readings: [70000] },
+      { action: 'battery', deviceId: 'sim-cube-1', value: -1 },
+      { action: 'disconnect', deviceId: 'sim-cube-1', outOfRangeFor: -5 }
+    ];
+    for (const [index, params] of invalid.entries()) {
+      const reply = await client.request({ type: 'simulate', id: 10 + index, ...params });
+      assert.equal(reply.code, ERROR_CODES.INVALID_PARAMS, JSON.stringify(params));
+    }
+
+    const state = bridge.transport.getDeviceState('sim-cube-1');
+    assert.equal(state.connected, true);
+    assert.equal(state.batteryLevel, 100);
+    assert.equal(state.buttonPressed, false);
+
+    const reply = await client.request({ type: 'simulate', id: 2, action: 'battery', deviceId: 'sim-cube-1', value: 40 });
+    assert.equal(reply.state.batteryLevel, 40);
+  } finally {
+    await bridge.stop();
+  }
+});